@@ -0,0 +1,20 @@
+// Screen Reader Announcements
+// Messages for screen readers go through a visually hidden live region (#announcer) rather than
+// the feedback area, so that the same message twice in a row (two wrong guesses) is still read out.
+
+const ANNOUNCE_DELAY_MS = 100;
+
+let pending = null; // Timer for the message about to be announced
+
+// Announce a message to screen reader users
+export function announce(message) {
+    const region = document.getElementById('announcer');
+    if (!region || !message) return;
+
+    // Empty the region first, then fill it once the change has been noticed
+    clearTimeout(pending);
+    region.textContent = '';
+    pending = setTimeout(() => {
+        region.textContent = message;
+    }, ANNOUNCE_DELAY_MS);
+}
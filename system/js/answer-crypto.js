@@ -0,0 +1,217 @@
+// Answer Protection
+// Salted answer hashes and answer-derived encryption so protected riddles never ship their solution in plaintext
+//
+// A protected riddle replaces correctAnswers, closeAnswers, answer and explanation (and their
+// translations in `locales`) with:
+//   protected: {
+//       salt: 'hex',
+//       answerLocales: ['en', ...],      // locales whose answers are hashed (normalized by their rules)
+//       correctHashes: ['hex', ...],     // SHA-256 of salt + normalized correct answer, in any of answerLocales
+//       closeHashes: ['hex', ...],       // SHA-256 of salt + normalized close answer, in any of answerLocales
+//       keys: [{ iv, data }, ...],       // solution key wrapped by each correct answer (same order as correctHashes)
+//       reveal: { secret, iv, data },    // solution key wrapped for giving up
+//       solution: { iv, data }           // AES-GCM encrypted { answer, explanation, locales: { [locale]: { answer, explanation } } }
+//   }
+//
+// Giving up unwraps the solution key with the reveal secret shipped alongside it. That keeps the
+// solution out of plain sight in devtools, but a determined reader can still decrypt it by hand.
+
+import { tokenizeAnswer, extraWordFactor, MATCH_CORRECT, MATCH_CLOSE, MATCH_WRONG, DEFAULT_MATCH_LOCALE, CORRECT_THRESHOLD, CLOSE_THRESHOLD } from './matcher.js';
+
+const PBKDF2_ITERATIONS = 100000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function getSubtle() {
+    if (!globalThis.crypto || !globalThis.crypto.subtle) {
+        throw new Error('WebCrypto is not available in this environment');
+    }
+    return globalThis.crypto.subtle;
+}
+
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Random bytes as hex (used for salts and reveal secrets)
+export function randomHex(length = 16) {
+    return toHex(globalThis.crypto.getRandomValues(new Uint8Array(length)));
+}
+
+// Spellings of a normalized answer that hash to the same entry: spaced and compact
+export function answerVariants(answer, locale = DEFAULT_MATCH_LOCALE) {
+    const tokens = tokenizeAnswer(answer, locale);
+    if (!tokens.length) {
+        return [];
+    }
+    const spaced = tokens.join(' ');
+    const compact = tokens.join('');
+    return spaced === compact ? [spaced] : [spaced, compact];
+}
+
+// SHA-256 hex digest of a salted, already-normalized answer
+export async function hashAnswer(normalized, salt) {
+    const digest = await getSubtle().digest('SHA-256', encoder.encode(`${salt}:${normalized}`));
+    return toHex(digest);
+}
+
+// Derive an AES-GCM key from a secret (a normalized answer or the reveal secret)
+async function deriveKey(secret, salt) {
+    const subtle = getSubtle();
+    const material = await subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromHex(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encrypt(key, bytes) {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const data = await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decrypt(key, { iv, data }) {
+    return getSubtle().decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+}
+
+// Answer lists of a riddle and of each translation that replaces them, with their locale
+function collectAnswerLists({ correctAnswers = [], closeAnswers = [], locales = {} }) {
+    const lists = [{ locale: DEFAULT_MATCH_LOCALE, correctAnswers, closeAnswers }];
+    Object.entries(locales).forEach(([locale, translation]) => {
+        if (translation && translation.correctAnswers && translation.closeAnswers) {
+            lists.push({ locale, correctAnswers: translation.correctAnswers, closeAnswers: translation.closeAnswers });
+        }
+    });
+    return lists;
+}
+
+// Translated answers and explanations of a riddle, by locale, to encrypt with the solution
+function collectSolutionTranslations(locales = {}) {
+    const translations = {};
+    Object.entries(locales).forEach(([locale, translation]) => {
+        if (translation && (translation.answer || translation.explanation)) {
+            translations[locale] = { answer: translation.answer, explanation: translation.explanation };
+        }
+    });
+    return translations;
+}
+
+// Build the protected block for a plaintext riddle
+// Answers translated in `locales` are hashed alongside the English ones and their solutions
+// are encrypted with it, so the whole riddle can ship without plaintext answers
+export async function protectRiddle(riddle) {
+    const { answer, explanation, locales } = riddle;
+    const subtle = getSubtle();
+    const salt = randomHex(16);
+
+    const solutionKey = await subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const rawSolutionKey = await subtle.exportKey('raw', solutionKey);
+    const solutionData = { answer, explanation, locales: collectSolutionTranslations(locales) };
+    const solution = await encrypt(solutionKey, encoder.encode(JSON.stringify(solutionData)));
+
+    const lists = collectAnswerLists(riddle);
+    const answerLocales = [...new Set(lists.map(list => list.locale))];
+    const correctVariants = [...new Set(lists.flatMap(list => list.correctAnswers.flatMap(text => answerVariants(text, list.locale))))];
+    const closeVariants = [...new Set(lists.flatMap(list => list.closeAnswers.flatMap(text => answerVariants(text, list.locale))))]
+        .filter(variant => !correctVariants.includes(variant));
+
+    const correctHashes = [];
+    const keys = [];
+    for (const variant of correctVariants) {
+        correctHashes.push(await hashAnswer(variant, salt));
+        keys.push(await encrypt(await deriveKey(variant, salt), rawSolutionKey));
+    }
+
+    const closeHashes = [];
+    for (const variant of closeVariants) {
+        closeHashes.push(await hashAnswer(variant, salt));
+    }
+
+    const secret = randomHex(16);
+    const reveal = { secret, ...await encrypt(await deriveKey(secret, salt), rawSolutionKey) };
+
+    return { salt, answerLocales, correctHashes, closeHashes, keys, reveal, solution };
+}
+
+// Runs of consecutive guess words in spaced and compact form, with the score they keep for the
+// words left out of them (tokenized by the rules of each locale whose answers are hashed)
+// The whole guess comes first; shorter runs are only tried while they could still be close
+function candidatePhrases(guess, locales) {
+    const candidates = new Map();
+    for (const tokens of locales.map(locale => tokenizeAnswer(guess, locale))) {
+        for (let size = tokens.length; size > 0; size--) {
+            const score = extraWordFactor(tokens.length - size);
+            if (score < CLOSE_THRESHOLD) break;
+            for (let start = 0; start + size <= tokens.length; start++) {
+                const words = tokens.slice(start, start + size);
+                for (const phrase of [words.join(' '), words.join('')]) {
+                    candidates.set(phrase, Math.max(score, candidates.get(phrase) || 0));
+                }
+            }
+        }
+    }
+    return [...candidates].map(([phrase, score]) => ({ phrase, score })).sort((a, b) => b.score - a.score);
+}
+
+// Grade a guess against a protected riddle
+// Matching is exact after normalization; typo tolerance needs the plaintext answers
+// Extra words cost the same as in matchAnswer(): only the whole guess can be correct, and an
+// answer found among a word or two more is close
+// Riddles protected before answerLocales existed only hash English answers
+// Returns the same shape as matchAnswer() plus the secret needed to unseal the solution
+export async function matchProtectedAnswer(guess, data) {
+    const candidates = candidatePhrases(guess, data.answerLocales || [DEFAULT_MATCH_LOCALE]);
+    let close = null;
+
+    for (const { phrase, score } of candidates) {
+        const hash = await hashAnswer(phrase, data.salt);
+        const index = data.correctHashes.indexOf(hash);
+        if (index !== -1 && score >= CORRECT_THRESHOLD) {
+            return { grade: MATCH_CORRECT, confidence: 1, matched: phrase, keyIndex: index, secret: phrase };
+        }
+        if (close) continue;
+        if (index !== -1 || (score >= CORRECT_THRESHOLD && data.closeHashes.includes(hash))) {
+            close = { grade: MATCH_CLOSE, confidence: score, matched: phrase };
+        }
+    }
+
+    return close || { grade: MATCH_WRONG, confidence: 1, matched: null };
+}
+
+async function openSolution(data, wrappedKey, secret) {
+    const subtle = getSubtle();
+    const rawSolutionKey = await decrypt(await deriveKey(secret, data.salt), wrappedKey);
+    const solutionKey = await subtle.importKey('raw', rawSolutionKey, 'AES-GCM', false, ['decrypt']);
+    return JSON.parse(decoder.decode(await decrypt(solutionKey, data.solution)));
+}
+
+// Decrypt { answer, explanation } with the result of a correct matchProtectedAnswer()
+export async function unsealSolution(data, { keyIndex, secret }) {
+    return openSolution(data, data.keys[keyIndex], secret);
+}
+
+// Decrypt { answer, explanation } when the player gives up
+export async function revealSolution(data) {
+    return openSolution(data, data.reveal, data.reveal.secret);
+}
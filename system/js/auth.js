@@ -340,7 +340,7 @@ export async function createRiddleRequestIssue() {
             '',
             `- Requested: ${new Date(timestamp).toISOString()}`,
             '',
-            'Please run the Riddle Finder Agent to find or generate a high-quality riddle, add the riddle file to `system/riddles/`, update `system/riddles/riddles.js`, and open a PR for review.',
+            'Please run the Riddle Finder Agent to find or generate a high-quality riddle, add the riddle file to `system/riddles/`, regenerate `system/riddles/riddles.manifest.json` with `node system/scripts/build-riddle-manifest.mjs`, and open a PR for review.',
             '',
             'Assignments: Copilot agents will be asked to take ownership of creating the PR and processing it. A maintainer should review the Notes section in `.github/agents/riddle-finder.agent.md` to ensure quality.',
             '',
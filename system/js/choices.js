@@ -0,0 +1,99 @@
+// Multiple Choice Mode
+// An accessibility mode that replaces typed answers with a few choices: the official answer plus
+// distractors from the riddle's close answers and other riddles' answers, or the riddle's own
+// `choices`. Choices are shuffled with a seed so a riddle always shows them in the same order.
+
+import { hashString } from './daily.js';
+import { matchAnswer, normalizeAnswer, MATCH_CORRECT, DEFAULT_MATCH_LOCALE } from './matcher.js';
+
+export const ANSWER_MODE_TEXT = 'text';
+export const ANSWER_MODE_CHOICE = 'choice';
+
+const ANSWER_MODE_KEY = 'answerMode';
+const CHOICE_COUNT = 4;
+const CLOSE_DISTRACTORS = 2; // Close answers used before other riddles' answers
+
+// localStorage key for a profile's answer mode (the default profile keeps the original key)
+function modeKey(profileId) {
+    return !profileId || profileId === 'default' ? ANSWER_MODE_KEY : `${ANSWER_MODE_KEY}:${profileId}`;
+}
+
+// Load a profile's answer mode: typed answers unless multiple choice was turned on
+export function loadAnswerMode(profileId) {
+    return localStorage.getItem(modeKey(profileId)) === ANSWER_MODE_CHOICE ? ANSWER_MODE_CHOICE : ANSWER_MODE_TEXT;
+}
+
+export function saveAnswerMode(mode, profileId) {
+    localStorage.setItem(modeKey(profileId), mode);
+}
+
+// Delete a profile's answer mode
+export function clearAnswerMode(profileId) {
+    localStorage.removeItem(modeKey(profileId));
+}
+
+// Pseudo-random numbers in [0, 1) that are the same for the same seed (mulberry32)
+export function seededRandom(seed) {
+    let state = hashString(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Shuffled copy of a list (Fisher-Yates) using the given random number source
+export function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// Answers are written in different styles ("The Mirror", "machine learning"), so show every
+// generated choice the same way to avoid giving the official answer away by its capitals
+function formatChoice(text, locale) {
+    const lower = text.trim().toLocaleLowerCase(locale);
+    return lower.charAt(0).toLocaleUpperCase(locale) + lower.slice(1);
+}
+
+// Build the choices for a riddle (or one of its parts) from its answer and answer lists
+// Returns [{ label, correct }] where correct is true or false, or null for the riddle's own
+// `choices`, which are checked like typed answers (protected riddles can only use those)
+// Returns an empty list when there is nothing to choose from
+// Answers are compared in the part's answerLocale (see localizeRiddle() in riddles.js)
+export function buildChoices(part, otherAnswers, seed) {
+    const random = seededRandom(seed);
+    const locale = part.answerLocale || DEFAULT_MATCH_LOCALE;
+
+    if (Array.isArray(part.choices) && part.choices.length > 0) {
+        return shuffle(part.choices.map(label => ({ label, correct: null })), random);
+    }
+    if (!part.answer) return [];
+
+    const seen = new Set([normalizeAnswer(part.answer, locale)]);
+    const distractors = [];
+    const take = (candidates, limit) => {
+        for (const candidate of shuffle(candidates, random)) {
+            if (distractors.length >= limit) return;
+            const key = normalizeAnswer(candidate, locale);
+            // Skip repeats and anything the riddle itself would accept as correct
+            if (!key || seen.has(key) || matchAnswer(candidate, part, locale).grade === MATCH_CORRECT) continue;
+            seen.add(key);
+            distractors.push(candidate);
+        }
+    };
+    take(part.closeAnswers || [], CLOSE_DISTRACTORS);
+    take(otherAnswers, CHOICE_COUNT - 1);
+    take(part.closeAnswers || [], CHOICE_COUNT - 1);
+
+    if (distractors.length === 0) return [];
+    return shuffle([
+        { label: formatChoice(part.answer, locale), correct: true },
+        ...distractors.map(label => ({ label: formatChoice(label, locale), correct: false }))
+    ], random);
+}
@@ -0,0 +1,52 @@
+// Command Palette
+// Fuzzy search over riddles and game commands. A query matches text that contains its characters
+// in order ("mirpar" finds "The Mirror Paradox"); matches at the start of words and runs of
+// consecutive characters rank higher.
+
+const MAX_RESULTS = 50;
+
+const CONSECUTIVE_BONUS = 3;
+const WORD_START_BONUS = 5;
+const PREFIX_BONUS = 10;
+const MAX_GAP_PENALTY = 3;
+
+// Lowercase without accents, so "acertijo" finds "Acertijó"
+function fold(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Score how well a query matches some text (higher is better), or null if it does not match
+// An empty query matches everything with a score of 0
+export function fuzzyScore(query, text) {
+    const needle = fold(query).replace(/\s+/g, '');
+    const haystack = fold(text);
+    if (!needle) return 0;
+
+    let score = 0;
+    let last = -1;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, last + 1);
+        if (index === -1) return null;
+        if (index === last + 1) score += CONSECUTIVE_BONUS;
+        if (index === 0 || !/[\p{L}\p{N}]/u.test(haystack[index - 1])) score += WORD_START_BONUS;
+        score -= Math.min(index - last - 1, MAX_GAP_PENALTY);
+        last = index;
+    }
+    if (haystack.startsWith(needle)) score += PREFIX_BONUS;
+    return score;
+}
+
+// Commands ({ label, keywords? }) matching a query, best first; ties keep their original order
+export function filterCommands(commands, query) {
+    return commands
+        .map((command, index) => {
+            const scores = [command.label, ...(command.keywords || [])]
+                .map(text => fuzzyScore(query, text))
+                .filter(score => score !== null);
+            return { command, index, score: scores.length ? Math.max(...scores) : null };
+        })
+        .filter(entry => entry.score !== null)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, MAX_RESULTS)
+        .map(entry => entry.command);
+}
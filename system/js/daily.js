@@ -0,0 +1,106 @@
+// Daily Riddle Mode
+// Picks the same riddle for everyone on a given UTC day, tracks the daily streak and history,
+// and builds a spoiler-free shareable result
+
+import { t } from './i18n.js';
+
+const DAILY_HISTORY_KEY = 'dailyHistory';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Glyphs for the shareable result grid
+const GUESS_GLYPHS = { correct: '🟩', close: '🟨', wrong: '🟥' };
+const GAVE_UP_GLYPH = '⬛';
+const HINT_GLYPH = '💡';
+
+// UTC date key for a day, e.g. '2026-10-19'
+export function getUtcDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+// FNV-1a hash of a string, as an unsigned 32-bit integer (also seeds other deterministic choices)
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Registry index of the riddle of the day (deterministic per UTC date), picked from the
+// registry indexes that can be daily riddles
+export function getDailyRiddleIndex(dateKey, indexes) {
+    if (indexes.length === 0) return -1;
+    return indexes[hashString(`gatekeeper-daily:${dateKey}`) % indexes.length];
+}
+
+// localStorage key for a profile's daily history (the default profile keeps the original key)
+function historyKey(profileId) {
+    return !profileId || profileId === 'default' ? DAILY_HISTORY_KEY : `${DAILY_HISTORY_KEY}:${profileId}`;
+}
+
+// Load a profile's daily history: { 'YYYY-MM-DD': { riddleId, guesses, hintsUsed, solved, gaveUp, finishedAt } }
+export function loadDailyHistory(profileId) {
+    const saved = localStorage.getItem(historyKey(profileId));
+    if (!saved) return {};
+    try {
+        return JSON.parse(saved) || {};
+    } catch (e) {
+        console.error('Failed to load daily history:', e);
+        return {};
+    }
+}
+
+// Save a profile's daily history
+export function saveDailyHistory(history, profileId) {
+    localStorage.setItem(historyKey(profileId), JSON.stringify(history));
+}
+
+// Delete a profile's daily history
+export function clearDailyHistory(profileId) {
+    localStorage.removeItem(historyKey(profileId));
+}
+
+// Get (and create if needed) the history entry for a day
+export function getDailyEntry(history, dateKey, riddleId) {
+    if (!history[dateKey]) {
+        history[dateKey] = { riddleId, guesses: [], partsSolved: 0, hintsUsed: 0, solved: false, gaveUp: false, finishedAt: null };
+    }
+    return history[dateKey];
+}
+
+// Whether the daily riddle for an entry has been solved or given up
+export function isDailyFinished(entry) {
+    return Boolean(entry && (entry.solved || entry.gaveUp));
+}
+
+// Consecutive days solved without giving up, ending today (or yesterday if today is still open)
+export function getDailyStreak(history, todayKey = getUtcDateKey()) {
+    let day = new Date(`${todayKey}T00:00:00Z`);
+    if (!isDailyFinished(history[todayKey])) {
+        day = new Date(day.getTime() - DAY_MS);
+    }
+
+    let streak = 0;
+    for (;;) {
+        const entry = history[getUtcDateKey(day)];
+        if (!entry || !entry.solved || entry.gaveUp) break;
+        streak++;
+        day = new Date(day.getTime() - DAY_MS);
+    }
+    return streak;
+}
+
+// Spoiler-free result text, e.g. "🟥🟨🟩" for the guesses and "💡💡" for the hints used
+export function buildShareText(dateKey, entry, streak) {
+    const guesses = entry.guesses.map(grade => GUESS_GLYPHS[grade] || GUESS_GLYPHS.wrong).join('');
+    const lines = [
+        t('daily.shareTitle', { date: dateKey }),
+        `${guesses}${entry.gaveUp ? GAVE_UP_GLYPH : ''}` || GAVE_UP_GLYPH,
+        entry.hintsUsed ? HINT_GLYPH.repeat(entry.hintsUsed) : t('daily.shareNoHints')
+    ];
+    if (streak > 0) {
+        lines.push(t('daily.streak', { count: streak }));
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,140 @@
+// Modal Dialogs
+// Opens and closes the .modal overlays as accessible dialogs. Focus moves into a dialog when it
+// opens, Tab and Shift+Tab cycle through its controls without leaving it, and focus goes back to
+// whatever had it before once the dialog closes. Dialogs stack: one opened over another sits on
+// top, and Escape or a click on the backdrop closes only the top one.
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const stack = []; // Open dialogs, bottom first: { modal, close, returnFocus }
+
+function findEntry(modal) {
+    return stack.find(entry => entry.modal === modal);
+}
+
+function getTopEntry() {
+    return stack[stack.length - 1] || null;
+}
+
+function isVisible(element) {
+    return element.getClientRects().length > 0;
+}
+
+// Controls in an element that Tab reaches, in order (hidden ones and tabindex="-1" are skipped)
+function getFocusable(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE))
+        .filter(element => element.tabIndex >= 0 && isVisible(element));
+}
+
+// Where focus goes back to when a dialog closes: the element that had it, or if that has been
+// hidden since (an item of a menu that has closed), the nearest visible control around it
+function findReturnFocus(element) {
+    if (!element || !element.isConnected) return null;
+    if (isVisible(element)) return element;
+    for (let parent = element.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+        const [control] = getFocusable(parent);
+        if (control) return control;
+    }
+    return null;
+}
+
+// Focus the first control in a dialog, or the dialog itself when it has none
+function focusDialog(modal) {
+    const [first] = getFocusable(modal);
+    (first || modal).focus();
+}
+
+// Open a .modal element as a dialog
+// Options:
+//   close        - closes the dialog on Escape or a backdrop click (defaults to closeDialog(modal));
+//                  pass the function that normally closes it so it can tidy up on the way out
+//   initialFocus - element to focus first (defaults to the dialog's first control)
+// Opening a dialog that is already open only updates its close function
+export function openDialog(modal, { close = () => closeDialog(modal), initialFocus = null } = {}) {
+    const open = findEntry(modal);
+    if (open) {
+        open.close = close;
+        return;
+    }
+
+    stack.push({ modal, close, returnFocus: document.activeElement });
+    modal.classList.add('active');
+    if (initialFocus) {
+        initialFocus.focus();
+    } else {
+        focusDialog(modal);
+    }
+}
+
+// Close a dialog; returns false if it was not open
+// Focus goes back to where it was before the dialog opened, or into the dialog below if there is
+// nowhere to go back to
+export function closeDialog(modal) {
+    modal.classList.remove('active');
+    const index = stack.findIndex(entry => entry.modal === modal);
+    if (index === -1) return false;
+
+    const [entry] = stack.splice(index, 1);
+    if (index < stack.length) return true; // A dialog above this one still has focus
+
+    const returnFocus = findReturnFocus(entry.returnFocus);
+    const top = getTopEntry();
+    if (returnFocus && (!top || top.modal.contains(returnFocus))) {
+        returnFocus.focus();
+    } else if (top) {
+        focusDialog(top.modal);
+    }
+    return true;
+}
+
+export function isDialogOpen(modal) {
+    return Boolean(modal && findEntry(modal));
+}
+
+// Whether any dialog is open
+export function hasOpenDialog() {
+    return stack.length > 0;
+}
+
+// Keep Tab inside the top dialog, wrapping from the last control to the first and back
+function trapFocus(e, modal) {
+    const focusable = getFocusable(modal);
+    e.preventDefault();
+    if (focusable.length === 0) {
+        modal.focus();
+        return;
+    }
+    const current = focusable.indexOf(document.activeElement);
+    const step = e.shiftKey ? -1 : 1;
+    const next = current === -1
+        ? (e.shiftKey ? focusable.length - 1 : 0)
+        : (current + step + focusable.length) % focusable.length;
+    focusable[next].focus();
+}
+
+// Listen for Tab, Escape and backdrop clicks on whichever dialog is on top
+export function initDialogs() {
+    document.addEventListener('keydown', (e) => {
+        const top = getTopEntry();
+        if (!top || e.defaultPrevented || e.isComposing) return;
+        if (e.key === 'Tab') {
+            trapFocus(e, top.modal);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            top.close();
+        }
+    });
+    document.addEventListener('click', (e) => {
+        const top = getTopEntry();
+        if (top && e.target === top.modal) {
+            top.close();
+        }
+    });
+}
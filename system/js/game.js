@@ -1,5 +1,26 @@
 // Import riddle data
-import { riddles, getRiddleByIndex, getRiddleCount, getRiddleIndex } from '../riddles/riddles.js';
+import { DIFFICULTIES, riddles, loadRegistry, getRiddleMeta, getRiddleByIndex, getRiddleByIndexAsync, getRiddleByIdAsync, getRiddleCount, getRiddleIndex, getMissingRequirements, getRiddlesInUnlockOrder, prefetchNeighbours, isProtectedRiddle, hasParts, getPartCount, getRiddlePart, localizeRiddle, getLocalizedTitle } from '../riddles/riddles.js';
+import { matchAnswer, MATCH_CORRECT, MATCH_CLOSE, MATCH_WRONG, DEFAULT_MATCH_LOCALE } from './matcher.js';
+import { matchProtectedAnswer, unsealSolution, revealSolution } from './answer-crypto.js';
+import { computeScore, recordScore, getTotalScore, formatDuration } from './scoring.js';
+import { computeStats, renderAttemptsChart, formatStat } from './stats.js';
+import { getUtcDateKey, getDailyRiddleIndex, loadDailyHistory, saveDailyHistory, clearDailyHistory, getDailyEntry, isDailyFinished, getDailyStreak, buildShareText } from './daily.js';
+import { parseRoute, navigate, onRouteChange } from './router.js';
+import { loadProgressRecord, saveProgressRecord, deleteProgressRecord, isProgressReadOnly } from './storage.js';
+import { DEFAULT_PROFILE_ID, loadProfiles, getActiveProfile, createProfile, renameProfile, deleteProfile, setActiveProfile } from './profiles.js';
+import { isSyncAvailable, loadSyncApiBase, pullProgress, schedulePush, clearSyncState } from './sync.js';
+import { createRun, getRunRiddleId, startSplit, solveSplitPart, finishSplit, isRunFinished, getRunElapsedMs, getSplitDelta, saveRun, loadSpeedrunRecords, clearSpeedrunRecords, formatClock, formatDelta, formatPenalty, WRONG_ATTEMPT_PENALTY_MS, HINT_PENALTY_MS, SKIP_PENALTY_MS } from './speedrun.js';
+import { ANSWER_MODE_TEXT, ANSWER_MODE_CHOICE, loadAnswerMode, saveAnswerMode, clearAnswerMode, buildChoices } from './choices.js';
+import { SORT_OPTIONS, DEFAULT_FILTERS, collectTags, hasActiveFilters, filterRiddles } from './riddle-filter.js';
+import { MIN_PLAYERS, MAX_PLAYERS, createParty, startRound, getCurrentPlayerState, getCurrentPlayerName, isRoundFinished, recordGuess, passTurn, recordHint, finishRound, isPartyOver, getLeaderboard } from './party.js';
+import { createProgressExport, parseProgressExport, mergeRiddleProgress, mergeDailyHistory, getExportFileName } from './progress-file.js';
+import { DEFAULT_SPEECH_SETTINGS, isSpeechAvailable, loadSpeechSettings, saveSpeechSettings, clearSpeechSettings, getVoices, onVoicesChanged, splitLines, speak, isSpeaking, stopSpeaking } from './speech.js';
+import { isVoiceInputAvailable, isListening, startListening, stopListening, pickBestTranscript } from './voice-input.js';
+import { SHORTCUT_ACTIONS, DEFAULT_SHORTCUTS, loadShortcuts, saveShortcuts, clearShortcuts, getKeyCombo, hasModifier, findShortcutAction, bindShortcut, formatKeyCombo, isTypingTarget } from './shortcuts.js';
+import { filterCommands } from './command-palette.js';
+import { openDialog, closeDialog, isDialogOpen, hasOpenDialog, initDialogs } from './dialogs.js';
+import { announce } from './announcer.js';
+import { DEFAULT_LOCALE, LOCALES, t, getLocale, setLocale, loadLocale, saveLocale, clearLocale, formatList, formatOrdinal, translatePage } from './i18n.js';
 import { isAuthenticated, createRiddleRequestIssue, createRiddleRequestPullRequest, openGitHubPullRequestTemplate, redirectToLogin, clearGitHubToken } from './auth.js';
 
 // Game state
@@ -7,82 +28,434 @@ let currentRiddleIndex = 0;
 let currentRiddle = null;
 let attempts = 0;
 let riddleProgress = {}; // Track progress for each riddle
+let revealedSolutions = {}; // Decrypted { answer, explanation } for protected riddles, by riddle id
+let loadRequestId = 0; // Incremented per loadRiddle() call so stale loads are ignored
+let lastScore = null; // Score of the most recent solve, shown in the solve modal
+let dailyMode = null; // { dateKey, hintsAtStart } while playing the riddle of the day
+let pendingImport = null; // Parsed progress file waiting for the player to choose merge or replace
+let activeProfile = null; // { id, name } of the player whose progress is loaded
+let party = null; // Hot-seat party state while party mode is on (kept out of saved progress)
+let speedrun = null; // Active speedrun (see speedrun.js), also kept out of saved progress
+let speedrunTimer = null; // Interval that redraws the speedrun clock
+let lastSplit = null; // Split just finished, shown in the solve modal until the run moves on
+let selectorFilters = { ...DEFAULT_FILTERS }; // Riddle selector search, filters and sort (kept for the session)
+let answerMode = ANSWER_MODE_TEXT; // Typed answers or multiple choice (see choices.js), per profile
+let currentChoices = []; // Multiple-choice options shown for the question being answered
+let placeholderView = null; // Redraws the not-found or locked message shown instead of a riddle
+let speechSettings = { ...DEFAULT_SPEECH_SETTINGS }; // Read-aloud mode, voice, rate and pitch (see speech.js), per profile
+let shortcutBindings = { ...DEFAULT_SHORTCUTS }; // Key combos for each shortcut action (see shortcuts.js), per profile
+let capturingShortcut = null; // Action waiting for its new key in the shortcut help
+let paletteCommands = []; // Everything the command palette can run, built each time it opens
+let paletteResults = []; // Commands matching the palette query, best first
+let paletteIndex = 0; // Highlighted palette result
 
-// Load progress from localStorage
-function loadProgress() {
-    const saved = localStorage.getItem('riddleProgress');
-    if (saved) {
-        try {
-            riddleProgress = JSON.parse(saved);
-        } catch (e) {
-            console.error('Failed to load progress:', e);
-            riddleProgress = {};
+// Load the active profile's progress and last riddle played through the storage layer
+// Progress saved by a newer version of the game can be played but is not saved over
+async function loadProgress() {
+    try {
+        const record = await loadProgressRecord(activeProfile.id);
+        riddleProgress = record.riddles;
+        currentRiddleIndex = record.currentRiddleIndex;
+        if (record.readOnly) {
+            showNotice(t('progress.readOnly'), '#ff8800', 15000);
         }
+    } catch (e) {
+        console.error('Failed to load progress:', e);
+        riddleProgress = {};
+        currentRiddleIndex = 0;
     }
 }
 
-// Save progress to localStorage
-function saveProgress() {
-    localStorage.setItem('riddleProgress', JSON.stringify(riddleProgress));
+// Default progress entry for a riddle that has not been played yet
+function createProgress() {
+    return { attempts: 0, solved: false, hintsUsed: 0 };
+}
+
+// Get saved progress for a riddle without creating an entry
+function getRiddleProgress(id) {
+    return { ...createProgress(), ...riddleProgress[id] };
+}
+
+// Get saved progress for a riddle, creating the entry if needed
+function ensureRiddleProgress(id) {
+    riddleProgress[id] = getRiddleProgress(id);
+    return riddleProgress[id];
 }
 
-// Get current riddle index from localStorage or default to 0
-function loadCurrentRiddleIndex() {
-    const saved = localStorage.getItem('currentRiddleIndex');
-    return saved ? parseInt(saved, 10) : 0;
+// Save progress and the current riddle index through the storage layer,
+// and queue a push to the sync gist for logged-in players (default profile only)
+function saveProgress() {
+    if (isProgressReadOnly(activeProfile.id)) return;
+    saveProgressRecord(activeProfile.id, { riddles: riddleProgress, currentRiddleIndex });
+    if (activeProfile.id === DEFAULT_PROFILE_ID) {
+        schedulePush(riddleProgress);
+    }
 }
 
-// Save current riddle index to localStorage
-function saveCurrentRiddleIndex() {
-    localStorage.setItem('currentRiddleIndex', currentRiddleIndex.toString());
+// Merge progress from the sync gist into the default profile's progress, and show the riddle
+// again if the gist had anything new
+// Nothing waits for this, so a slow network or an offline player never holds up the game
+async function pullSyncedProgress() {
+    if (!isSyncAvailable() || activeProfile.id !== DEFAULT_PROFILE_ID) return;
+    const profileId = activeProfile.id;
+    let synced;
+    try {
+        synced = await pullProgress({});
+    } catch (error) {
+        console.warn('Failed to sync progress:', error.message);
+        return;
+    }
+
+    // Merge into the progress as it is now: the player may have played on (or switched
+    // profiles) while the gist was loading
+    if (activeProfile.id !== profileId) return;
+    const merged = mergeRiddleProgress(riddleProgress, synced);
+    if (JSON.stringify(merged) === JSON.stringify(riddleProgress)) return;
+    riddleProgress = merged;
+    saveProgress();
+    // Party rounds and speedrun splits do not show saved progress, and loading would restart them
+    if (currentRiddle && !party && !speedrun) {
+        await loadRiddle(currentRiddleIndex, { daily: Boolean(dailyMode), history: 'none' });
+    }
 }
 
 // Initialize the game
-function initGame() {
-    loadProgress();
-    currentRiddleIndex = loadCurrentRiddleIndex();
-    loadRiddle(currentRiddleIndex);
+async function initGame() {
+    activeProfile = getActiveProfile();
+    await setLocale(loadLocale(activeProfile.id));
+    answerMode = loadAnswerMode(activeProfile.id);
+    speechSettings = loadSpeechSettings(activeProfile.id);
+    shortcutBindings = loadShortcuts(activeProfile.id);
+    applyLanguage();
+    await loadProgress();
+    loadSyncApiBase();
+
+    try {
+        await loadRegistry();
+    } catch (error) {
+        console.error('Failed to load riddles:', error);
+        document.getElementById('riddleText').textContent = t('app.loadFailed');
+        return;
+    }
+
+    // Back/forward and hand-edited links switch riddles without adding history entries
+    onRouteChange(route => applyRoute(route, 'none'));
+    await applyRoute(parseRoute(), 'replace');
+    pullSyncedProgress();
+}
+
+// Show whatever the URL points at: a riddle (#/r/<id>), the daily riddle (#/daily or ?daily),
+// or the last riddle played when there is no route
+async function applyRoute(route, historyMode) {
+    if (route.type === 'daily') {
+        await startDailyRiddle(historyMode);
+        return;
+    }
+
+    if (route.type === 'riddle') {
+        let riddle = null;
+        try {
+            riddle = await getRiddleByIdAsync(route.id);
+        } catch (error) {
+            console.error('Failed to import riddle:', route.id, error);
+        }
+        if (!riddle) {
+            showNotFound(route.id);
+            return;
+        }
+        await loadRiddle(getRiddleIndex(riddle.id), { history: historyMode });
+        return;
+    }
+
+    if (route.type === 'unknown') {
+        showNotFound(route.path);
+        return;
+    }
+
+    let index = currentRiddleIndex;
+    if (index >= getRiddleCount() || getLockingRiddles(index).length > 0) {
+        index = Math.max(0, findUnlockedIndex(-1, 1));
+    }
+    await loadRiddle(index, { history: historyMode });
+}
+
+// Show the not-found state for a link to a riddle that does not exist
+function showNotFound(id) {
+    showPlaceholder(t('riddle.notFoundTitle'), t('riddle.notFound', { id }), () => showNotFound(id));
+}
+
+// Show the locked state for a riddle whose required riddles are not all solved yet
+function showLockedRiddle(index) {
+    showPlaceholder(
+        t('riddle.lockedTitle', { title: getRiddleTitle(getRiddleMeta(index)) }),
+        t('riddle.locked', { riddles: formatTitleList(getLockingRiddles(index)) }),
+        () => showLockedRiddle(index)
+    );
+}
+
+// Replace the riddle with a message when there is no riddle to play
+// (redraw shows it again, e.g. in another language)
+function showPlaceholder(title, text, redraw) {
+    ++loadRequestId; // Cancel any riddle that is still loading
+    currentRiddle = null;
+    placeholderView = redraw;
+    stopSpeaking();
+    stopListening();
+    dailyMode = null;
+    updateDailyBanner();
+
+    document.getElementById('riddleTitle').textContent = title;
+    document.getElementById('riddleText').textContent = text;
+    document.getElementById('attempts').textContent = '';
+    document.getElementById('guessInput').value = '';
+    document.getElementById('feedback').textContent = '';
+    document.getElementById('feedback').className = 'feedback';
+    renderQuestion();
+
     updateNavigationButtons();
-    updateAuthButton();
+}
+
+// Title of a registry entry in the player's language
+function getRiddleTitle(meta) {
+    return getLocalizedTitle(meta, getLocale());
+}
+
+// Quoted titles of registry entries joined into a list: "a", "b" and "c"
+function formatTitleList(metas) {
+    return formatList(metas.map(meta => t('list.quoted', { text: getRiddleTitle(meta) })));
+}
+
+// Registry metadata with titles in the player's language (for the selector and statistics)
+function getLocalizedRegistry() {
+    return riddles.map(meta => ({ ...meta, title: getRiddleTitle(meta) }));
+}
+
+// Riddles still to solve before the riddle at an index unlocks (empty once it is unlocked)
+// A riddle that has been solved stays unlocked
+function getLockingRiddles(index) {
+    const meta = getRiddleMeta(index);
+    if (!meta || getRiddleProgress(meta.id).solved) return [];
+    return getMissingRequirements(meta, id => getRiddleProgress(id).solved);
+}
+
+// Registry indexes of the riddles that are locked right now
+function getLockedIndexes() {
+    return riddles.map((meta, index) => index).filter(index => getLockingRiddles(index).length > 0);
+}
+
+// Tell the player which of the previously locked riddles are now unlocked
+function announceUnlocked(lockedBefore) {
+    const unlocked = lockedBefore.filter(index => getLockingRiddles(index).length === 0);
+    if (unlocked.length === 0) return;
+    showNotice(t('riddle.unlocked', { riddles: formatTitleList(unlocked.map(getRiddleMeta)) }), '#64ffda', 8000);
+}
+
+// Nearest unlocked riddle before (step -1) or after (step 1) an index, or -1 if there is none
+// With wrap, the search continues from the other end of the registry and ends back at the index
+function findUnlockedIndex(index, step, wrap = false) {
+    const count = getRiddleCount();
+    for (let offset = 1; offset <= count; offset++) {
+        const candidate = wrap ? (index + step * offset + count) % count : index + step * offset;
+        if (candidate < 0 || candidate >= count) return -1;
+        if (getLockingRiddles(candidate).length === 0) return candidate;
+    }
+    return -1;
 }
 
 // Load a riddle by index
-function loadRiddle(index) {
-    currentRiddle = getRiddleByIndex(index);
-    if (!currentRiddle) {
+// Options:
+//   daily   - play it as the riddle of the day
+//   history - 'push' (default) adds a browser history entry, 'replace' updates it, 'none' leaves the URL alone
+async function loadRiddle(index, options = {}) {
+    // Locked riddles only open once their required riddles are solved (a speedrun plays them all)
+    if (!speedrun && getLockingRiddles(index).length > 0) {
+        showLockedRiddle(index);
+        return;
+    }
+
+    const requestId = ++loadRequestId;
+    let riddle = null;
+    try {
+        riddle = await getRiddleByIndexAsync(index);
+    } catch (error) {
+        console.error('Failed to import riddle at index:', index, error);
+    }
+
+    // A newer loadRiddle() call has taken over while this one was importing
+    if (requestId !== loadRequestId) return;
+
+    if (!riddle) {
         console.error('Failed to load riddle at index:', index);
         return;
     }
-    
+
+    currentRiddle = localizeRiddle(riddle, getLocale());
     currentRiddleIndex = index;
-    saveCurrentRiddleIndex();
+    placeholderView = null;
     
     // Reset attempts for this riddle (or load saved attempts)
-    const progress = riddleProgress[currentRiddle.id] || { attempts: 0, solved: false };
+    const progress = getRiddleProgress(currentRiddle.id);
     attempts = progress.attempts;
+
+    // A speedrun only continues on its own next riddle; going anywhere else abandons it
+    const abandonedRun = Boolean(speedrun) && currentRiddle.id !== getRunRiddleId(speedrun);
+    if (abandonedRun) {
+        endSpeedrun(false);
+    }
+
+    // In party mode every riddle loaded is a new round, and a speedrun starts its next split;
+    // saved progress is left alone in both
+    if (party) {
+        startRound(party, currentRiddle.id);
+    } else if (speedrun) {
+        startSplit(speedrun);
+    } else {
+        // Start the solve clock the first time a riddle is opened
+        if (!progress.startedAt && !progress.solved) {
+            ensureRiddleProgress(currentRiddle.id).startedAt = Date.now();
+        }
+        saveProgress();
+    }
+
+    // Any other navigation leaves daily mode
+    dailyMode = null;
+    if (options.daily && !party && !speedrun) {
+        const dateKey = getUtcDateKey();
+        const entry = loadDailyHistory(activeProfile.id)[dateKey];
+        dailyMode = { dateKey, hintsAtStart: progress.hintsUsed - (entry ? entry.hintsUsed : 0) };
+    }
+    updateDailyBanner();
+
+    if (options.history !== 'none') {
+        navigate(options.daily ? { type: 'daily' } : { type: 'riddle', id: currentRiddle.id }, options.history || 'push');
+    }
     
     // Update UI
-    document.getElementById('riddleTitle').textContent = currentRiddle.title;
-    document.getElementById('riddleText').innerHTML = currentRiddle.text.replace(/\n/g, '<br>');
-    document.getElementById('attempts').textContent = `Attempts: ${attempts}`;
+    stopSpeaking();
+    stopListening();
+    renderRiddleText();
+    showAttempts(attempts);
     document.getElementById('guessInput').value = '';
     document.getElementById('feedback').textContent = '';
     document.getElementById('feedback').className = 'feedback';
+    renderQuestion();
+    updatePartyBar();
+    updateSpeedrunBar();
+    if (abandonedRun) {
+        showNotice(t('speedrun.abandoned'), '#ff8800');
+    }
     
     updateNavigationButtons();
+    prefetchNeighbours(index);
+    if (speechSettings.enabled) {
+        readRiddleAloud();
+    }
+}
+
+// Show the current riddle's title and text, each line in its own span so it can be highlighted
+// while read aloud (blank lines between stanzas stay as line breaks)
+function renderRiddleText() {
+    document.getElementById('riddleTitle').textContent = currentRiddle.title;
+    const text = document.getElementById('riddleText');
+    text.innerHTML = '';
+    currentRiddle.text.split('\n').forEach((line, index) => {
+        if (index > 0) {
+            text.appendChild(document.createElement('br'));
+        }
+        if (line) {
+            const span = document.createElement('span');
+            span.className = 'riddle-line';
+            span.dataset.line = index;
+            span.textContent = line;
+            text.appendChild(span);
+        }
+    });
+}
+
+// Show the attempt counter
+function showAttempts(count) {
+    document.getElementById('attempts').textContent = t('attempts.label', { count });
 }
 
-// Navigate to previous riddle
+// Navigate to the previous unlocked riddle
 function previousRiddle() {
-    if (currentRiddleIndex > 0) {
-        loadRiddle(currentRiddleIndex - 1);
+    const index = findUnlockedIndex(currentRiddleIndex, -1);
+    if (index !== -1) {
+        loadRiddle(index);
     }
 }
 
-// Navigate to next riddle
+// Navigate to the next unlocked riddle (skips the current one, with a penalty, during a speedrun)
 function nextRiddle() {
-    if (currentRiddleIndex < getRiddleCount() - 1) {
-        loadRiddle(currentRiddleIndex + 1);
+    if (speedrun) {
+        skipSpeedrunRiddle();
+        return;
+    }
+    const index = findUnlockedIndex(currentRiddleIndex, 1);
+    if (index !== -1) {
+        loadRiddle(index);
+    }
+}
+
+// Start the riddle of the day (the same riddle for everyone on a given UTC date)
+async function startDailyRiddle(historyMode = 'push') {
+    // Riddles that unlock by solving others are never the riddle of the day
+    const candidates = riddles.map((meta, index) => index).filter(index => riddles[index].requires.length === 0);
+    const index = getDailyRiddleIndex(getUtcDateKey(), candidates);
+    if (index === -1) return;
+    await loadRiddle(index, { daily: true, history: historyMode });
+}
+
+// Update today's daily history entry while in daily mode
+function updateDailyEntry(update) {
+    if (!dailyMode || !currentRiddle) return;
+
+    const history = loadDailyHistory(activeProfile.id);
+    const entry = getDailyEntry(history, dailyMode.dateKey, currentRiddle.id);
+    if (isDailyFinished(entry)) return;
+
+    update(entry);
+    entry.hintsUsed = Math.max(0, getRiddleProgress(currentRiddle.id).hintsUsed - dailyMode.hintsAtStart);
+    if (isDailyFinished(entry)) {
+        entry.finishedAt = Date.now();
+    }
+    saveDailyHistory(history, activeProfile.id);
+    updateDailyBanner();
+}
+
+// Show the daily banner and streak while in daily mode
+function updateDailyBanner() {
+    const banner = document.getElementById('dailyBanner');
+    if (!banner) return;
+
+    banner.hidden = !dailyMode;
+    if (!dailyMode) return;
+
+    const streak = getDailyStreak(loadDailyHistory(activeProfile.id), dailyMode.dateKey);
+    banner.textContent = `${t('daily.banner', { date: dailyMode.dateKey })}${streak > 0 ? ` · ${t('daily.streak', { count: streak })}` : ''}`;
+}
+
+// Copy the spoiler-free daily result to the clipboard
+async function shareDailyResult() {
+    if (!dailyMode) return;
+
+    const history = loadDailyHistory(activeProfile.id);
+    const entry = history[dailyMode.dateKey];
+    if (!isDailyFinished(entry)) return;
+
+    const text = buildShareText(dailyMode.dateKey, entry, getDailyStreak(history, dailyMode.dateKey));
+    const button = document.getElementById('shareResultBtn');
+    try {
+        await navigator.clipboard.writeText(text);
+        if (button) {
+            button.textContent = t('daily.copied');
+            setTimeout(() => {
+                button.textContent = t('daily.share');
+            }, 2000);
+        }
+    } catch (error) {
+        // Clipboard access can be blocked; let the player copy it by hand
+        window.prompt(t('daily.copyPrompt'), text);
     }
 }
 
@@ -92,66 +465,199 @@ function updateNavigationButtons() {
     const nextBtn = document.getElementById('nextBtn');
     
     if (prevBtn) {
-        prevBtn.disabled = currentRiddleIndex === 0;
+        prevBtn.disabled = Boolean(speedrun) || findUnlockedIndex(currentRiddleIndex, -1) === -1;
     }
     if (nextBtn) {
-        nextBtn.disabled = currentRiddleIndex >= getRiddleCount() - 1;
+        nextBtn.disabled = !speedrun && findUnlockedIndex(currentRiddleIndex, 1) === -1;
     }
 }
 
 // Show riddle selector modal
 function showRiddleSelector() {
     const modal = document.getElementById('riddleSelectorModal');
+
+    renderSelectorFilters();
+    renderRiddleGrid();
+    openDialog(modal, { close: closeRiddleSelector });
+}
+
+// Fill a <select> with [value, label] options and select the current value
+function fillSelect(select, options, value) {
+    select.innerHTML = '';
+    options.forEach(([optionValue, label]) => {
+        select.add(new Option(label, optionValue));
+    });
+    select.value = value;
+}
+
+// Sync the selector's search, filter and sort controls with the saved filters
+function renderSelectorFilters() {
+    const search = document.getElementById('riddleSearch');
+    if (!search) return;
+
+    // Drop a tag filter if no riddle uses the tag any more
+    const tags = collectTags(riddles);
+    if (!tags.includes(selectorFilters.tag)) {
+        selectorFilters.tag = '';
+    }
+
+    search.value = selectorFilters.query;
+    fillSelect(document.getElementById('riddleTagFilter'),
+        [['', t('selector.allTags')], ...tags.map(tag => [tag, `#${tag}`])], selectorFilters.tag);
+    fillSelect(document.getElementById('riddleDifficultyFilter'),
+        [['', t('selector.allDifficulties')], ...DIFFICULTIES.map(level => [level, t(`difficulty.${level}`)])], selectorFilters.difficulty);
+    fillSelect(document.getElementById('riddleStatusFilter'),
+        [['all', t('selector.statusAll')], ['solved', t('selector.statusSolved')], ['unsolved', t('selector.statusUnsolved')]], selectorFilters.status);
+    fillSelect(document.getElementById('riddleSort'), SORT_OPTIONS.map(sort => [sort, t(`selector.sort.${sort}`)]), selectorFilters.sort);
+}
+
+// Read the selector controls and redraw the grid
+function updateSelectorFilters() {
+    selectorFilters = {
+        query: document.getElementById('riddleSearch').value,
+        tag: document.getElementById('riddleTagFilter').value,
+        difficulty: document.getElementById('riddleDifficultyFilter').value,
+        status: document.getElementById('riddleStatusFilter').value,
+        sort: document.getElementById('riddleSort').value
+    };
+    renderRiddleGrid();
+}
+
+// Draw the riddle cards that match the current filters
+function renderRiddleGrid() {
     const grid = document.getElementById('riddleGrid');
     
     // Clear and populate grid
     grid.innerHTML = '';
+
+    // Riddle of the day comes first, unless the list is being narrowed down
+    if (!hasActiveFilters(selectorFilters)) {
+        grid.appendChild(createDailyCard());
+    }
+
+    const matches = filterRiddles(getLocalizedRegistry(), selectorFilters, id => getRiddleProgress(id).solved);
+    matches.forEach(({ riddle, index }) => {
+        grid.appendChild(createRiddleCard(riddle, index));
+    });
+
+    if (matches.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'riddle-grid-empty';
+        empty.textContent = t('selector.empty');
+        grid.appendChild(empty);
+    }
+}
+
+// Card for the riddle of the day
+function createDailyCard() {
+    const dateKey = getUtcDateKey();
+    const dailyHistory = loadDailyHistory(activeProfile.id);
+    const dailyStreak = getDailyStreak(dailyHistory, dateKey);
+    const dailyCard = document.createElement('div');
+    dailyCard.className = 'riddle-card daily-card';
+    if (dailyMode) {
+        dailyCard.classList.add('active');
+    }
+    dailyCard.append(
+        createElementWithText('div', 'riddle-card-indicator', isDailyFinished(dailyHistory[dateKey]) ? '✓' : '☀️'),
+        createElementWithText('div', 'riddle-card-title', t('daily.title')),
+        createElementWithText('div', 'riddle-card-stats', dailyStreak > 0 ? t('daily.streak', { count: dailyStreak }) : dateKey)
+    );
+    dailyCard.onclick = () => {
+        startDailyRiddle();
+        closeRiddleSelector();
+    };
+    return dailyCard;
+}
+
+// An element with a class and some text (riddle titles and tags come from contributed riddle
+// files, so they are never parsed as HTML)
+function createElementWithText(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+// Card for a registry riddle, with its progress, difficulty and tags
+// (or, while it is locked, the riddles that unlock it)
+function createRiddleCard(riddle, index) {
+    const progress = getRiddleProgress(riddle.id);
+    const card = document.createElement('div');
+    card.className = 'riddle-card';
+    if (index === currentRiddleIndex && !dailyMode) {
+        card.classList.add('active');
+    }
+
+    if (getLockingRiddles(index).length > 0) {
+        card.classList.add('locked');
+        card.setAttribute('aria-disabled', 'true');
+        const list = document.createElement('ul');
+        list.className = 'riddle-card-requires';
+        card.append(
+            createElementWithText('div', 'riddle-card-indicator', '🔒'),
+            createElementWithText('div', 'riddle-card-title', riddle.title),
+            createElementWithText('div', 'riddle-card-stats', t('selector.unlocksAfter')),
+            list
+        );
+        riddle.requires.map(id => getRiddleMeta(getRiddleIndex(id))).filter(Boolean).forEach((required) => {
+            const item = document.createElement('li');
+            const solved = getRiddleProgress(required.id).solved;
+            item.className = solved ? 'solved' : '';
+            item.textContent = `${solved ? '✓' : '○'} ${getRiddleTitle(required)}`;
+            list.appendChild(item);
+        });
+        return card;
+    }
     
-    riddles.forEach((riddle, index) => {
-        const progress = riddleProgress[riddle.id] || { attempts: 0, solved: false };
-        const card = document.createElement('div');
-        card.className = 'riddle-card';
-        if (index === currentRiddleIndex) {
-            card.classList.add('active');
-        }
-        
-        // Progress indicator
-        let indicator = '○'; // Not attempted
-        if (progress.solved) {
-            indicator = '✓'; // Solved
-        } else if (progress.attempts > 0) {
-            indicator = '○'; // Attempted
-        }
-        
-        card.innerHTML = `
-            <div class="riddle-card-indicator">${indicator}</div>
-            <div class="riddle-card-title">${riddle.title}</div>
-            <div class="riddle-card-stats">${progress.attempts} attempt${progress.attempts !== 1 ? 's' : ''}</div>
-        `;
-        
-        card.onclick = () => {
-            loadRiddle(index);
-            closeRiddleSelector();
-        };
-        
-        grid.appendChild(card);
+    // Progress indicator
+    let indicator = '○'; // Not attempted
+    if (progress.solved) {
+        indicator = '✓'; // Solved
+    } else if (progress.attempts > 0) {
+        indicator = '○'; // Attempted
+    }
+    
+    const stats = [t('count.attempts', { count: progress.attempts }), formatHintCount(progress.hintsUsed)];
+    if (progress.solved && progress.solvedMode === ANSWER_MODE_CHOICE) {
+        stats.push(t('selector.multipleChoice'));
+    }
+    const meta = document.createElement('div');
+    meta.className = 'riddle-card-meta';
+    if (riddle.difficulty) {
+        const badge = createElementWithText('span', 'difficulty-badge', t(`difficulty.${riddle.difficulty}`));
+        badge.classList.add(riddle.difficulty);
+        meta.appendChild(badge);
+    }
+    riddle.tags.forEach((tag) => {
+        meta.appendChild(createElementWithText('span', 'riddle-tag', `#${tag}`));
     });
+    card.append(
+        createElementWithText('div', 'riddle-card-indicator', indicator),
+        createElementWithText('div', 'riddle-card-title', riddle.title),
+        createElementWithText('div', 'riddle-card-stats', stats.join(' · ')),
+        meta
+    );
+    
+    card.onclick = () => {
+        loadRiddle(index);
+        closeRiddleSelector();
+    };
     
-    modal.classList.add('active');
+    return card;
 }
 
 // Close riddle selector modal
 function closeRiddleSelector() {
-    const modal = document.getElementById('riddleSelectorModal');
-    modal.classList.remove('active');
+    closeDialog(document.getElementById('riddleSelectorModal'));
 }
 
 // Show request riddle sub-menu
 function showRequestRiddleMenu() {
-    toggleMoreMenu(); // Close the More menu
+    closeMoreMenu();
     const modal = document.getElementById('requestRiddleModal');
     if (modal) {
-        modal.classList.add('active');
+        openDialog(modal, { close: closeRequestRiddleModal });
     }
 }
 
@@ -159,27 +665,15 @@ function showRequestRiddleMenu() {
 function closeRequestRiddleModal() {
     const modal = document.getElementById('requestRiddleModal');
     if (modal) {
-        modal.classList.remove('active');
+        closeDialog(modal);
     }
 }
 
 // Request via email
 function requestViaEmail() {
     closeRequestRiddleModal();
-    const subject = encodeURIComponent('Riddle Request - [Your Suggestion]');
-    const body = encodeURIComponent(`Hello,
-
-I would like to suggest a new riddle for The Gatekeeper's Riddle game:
-
-[Please describe your riddle idea here]
-
-Riddle Theme/Topic:
-
-
-Suggested Answer:
-
-
-Thank you!`);
+    const subject = encodeURIComponent(t('request.emailSubject'));
+    const body = encodeURIComponent(t('request.emailBody'));
     
     window.location.href = `mailto:sfti_ai@icloud.com?subject=${subject}&body=${body}`;
 }
@@ -193,7 +687,7 @@ async function requestAICurated() {
     // Check if user is authenticated
     if (!isAuthenticated()) {
         if (feedback) {
-            feedback.textContent = '🔐 Please login to request AI-curated riddles';
+            feedback.textContent = t('request.loginRequired');
             feedback.className = 'feedback';
             feedback.style.display = 'flex';
             feedback.style.color = '#ff4d4d';
@@ -207,7 +701,7 @@ async function requestAICurated() {
     
     // Show loading notification
     if (feedback) {
-        feedback.textContent = '🤖 Creating GitHub pull request for AI riddle request...';
+        feedback.textContent = t('request.creating');
         feedback.className = 'feedback';
         feedback.style.display = 'flex';
         feedback.style.color = '#64ffda';
@@ -218,8 +712,8 @@ async function requestAICurated() {
         const issue = await createRiddleRequestIssue();
         
         if (feedback) {
-            const id = issue?.number || 'unknown';
-            feedback.textContent = `✅ AI riddle request submitted! Issue #${id} created. An agent will open a PR for this request — please refresh your feed in ~10 minutes.`;
+            const id = issue?.number || t('request.unknownIssue');
+            feedback.textContent = t('request.submitted', { id });
             feedback.style.color = '#64ffda';
             
             // Hide after 10 seconds
@@ -232,16 +726,17 @@ async function requestAICurated() {
     } catch (error) {
         console.error('Error requesting AI curated riddle:', error);
         if (feedback) {
+            const details = error && error.message ? ` (${error.message})` : '';
             // If user is authenticated but issue creation failed, do NOT redirect them away — show an error and let them retry
             if (isAuthenticated()) {
-                feedback.textContent = `⚠️ Could not create issue automatically${error && error.message ? ` (${error.message})` : ''}. Please check your GitHub token permissions and try again.`;
+                feedback.textContent = t('request.failed', { details });
                 feedback.style.color = '#ff8800';
 
                 setTimeout(() => {
                     feedback.style.display = 'none';
                 }, 7000);
             } else {
-                feedback.textContent = `⚠️ Could not create issue automatically${error && error.message ? ` (${error.message})` : ''}. Opening GitHub issue form...`;
+                feedback.textContent = t('request.failedFallback', { details });
                 feedback.style.color = '#ff8800';
 
                 setTimeout(() => {
@@ -257,219 +752,2068 @@ async function requestAICurated() {
     }
 }
 
-// Toggle more menu dropdown
-function toggleMoreMenu() {
-    const menu = document.getElementById('moreMenu');
-    if (menu) {
-        menu.classList.toggle('active');
-    }
+// Show a temporary notice in the feedback area
+function showNotice(message, color, duration = 5000) {
+    const feedback = document.getElementById('feedback');
+    if (!feedback) return;
+
+    feedback.textContent = message;
+    feedback.className = 'feedback';
+    feedback.style.display = 'flex';
+    feedback.style.color = color;
+    announce(message);
+
+    setTimeout(() => {
+        if (feedback.textContent === message) {
+            feedback.textContent = '';
+            feedback.style.display = '';
+            feedback.style.color = '';
+        }
+    }, duration);
 }
 
-// Refresh PWA - clear cache and reload
-async function refreshApp() {
+// Settings included in progress exports
+function getSettings() {
+    return { currentRiddleIndex, answerMode, locale: getLocale() };
+}
+
+// Download all progress as a versioned JSON file
+async function exportProgress() {
     try {
-        // Clear all caches
-        if ('caches' in window) {
-            const cacheNames = await caches.keys();
-            await Promise.all(
-                cacheNames.map(cacheName => caches.delete(cacheName))
-            );
-            console.log('All caches cleared');
-        }
-        
-        // Unregister all service workers
-        if ('serviceWorker' in navigator) {
-            const registrations = await navigator.serviceWorker.getRegistrations();
-            await Promise.all(
-                registrations.map(registration => registration.unregister())
-            );
-            console.log('All service workers unregistered');
-        }
-        
-        // Reload the page after cache clearing
-        window.location.reload();
+        const file = await createProgressExport({
+            riddleProgress,
+            settings: getSettings(),
+            dailyHistory: loadDailyHistory(activeProfile.id)
+        });
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getExportFileName();
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        showNotice(t('export.done'), '#64ffda');
     } catch (error) {
-        console.error('Error refreshing app:', error);
-        // Fallback to reload if cache clearing fails
-        window.location.reload();
+        console.error('Failed to export progress:', error);
+        showNotice(t('export.failed', { error: error.message }), '#ff8800');
     }
 }
 
-// Register Service Worker for PWA offline support
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        // Get the base path for proper service worker registration
-        // When in /system/riddle.html, we need to find the project root
-        const currentPath = window.location.pathname;
-        
-        // Extract base path - remove /system/riddle.html part
-        let basePath = '';
-        if (currentPath.includes('/system/')) {
-            basePath = currentPath.substring(0, currentPath.indexOf('/system/'));
-        } else {
-            // Fallback: remove filename from path
-            basePath = currentPath.substring(0, currentPath.lastIndexOf('/'));
-        }
-        
-        const swPath = basePath ? `${basePath}/system/js/sw.js` : '/system/js/sw.js';
-        const scope = basePath ? `${basePath}/` : '/';
-        
-        navigator.serviceWorker.register(swPath, { 
-            scope: scope
-        })
-            .then((registration) => {
-                console.log('Service Worker registered successfully:', registration.scope);
-            })
-            .catch((error) => {
-                console.error('Service Worker registration failed:', error);
-            });
-    });
+// Open the file picker for a progress import (not while progress is read-only, as it could not be saved)
+function importProgress() {
+    if (isProgressReadOnly(activeProfile.id)) {
+        showNotice(t('progress.readOnly'), '#ff8800', 15000);
+        return;
+    }
+    const input = document.getElementById('importFileInput');
+    if (input) {
+        input.value = '';
+        input.click();
+    }
 }
 
-// Initialize game on load
-window.addEventListener('DOMContentLoaded', initGame);
+// Validate the chosen file and ask the player whether to merge or replace
+async function handleImportFile(file) {
+    const modal = document.getElementById('importModal');
+    const summary = document.getElementById('importSummary');
+    const error = document.getElementById('importError');
+    const options = document.getElementById('importOptions');
+    if (!modal || !file) return;
 
-// Make functions available globally for onclick handlers
-window.checkAnswer = checkAnswer;
-window.giveUp = giveUp;
-window.previousRiddle = previousRiddle;
-window.nextRiddle = nextRiddle;
-window.showRiddleSelector = showRiddleSelector;
-window.closeRiddleSelector = closeRiddleSelector;
-window.showRequestRiddleMenu = showRequestRiddleMenu;
-window.closeRequestRiddleModal = closeRequestRiddleModal;
-window.requestViaEmail = requestViaEmail;
-window.requestAICurated = requestAICurated;
-window.toggleMoreMenu = toggleMoreMenu;
-window.refreshApp = refreshApp;
+    pendingImport = null;
+    error.textContent = '';
+    try {
+        pendingImport = await parseProgressExport(await file.text());
+        const count = Object.keys(pendingImport.riddleProgress).length;
+        const solved = Object.values(pendingImport.riddleProgress).filter(entry => entry.solved).length;
+        const exported = pendingImport.exportedAt ? t('import.exportedAt', { date: new Date(pendingImport.exportedAt).toLocaleString(getLocale()) }) : '';
+        summary.textContent = t('import.summary', { file: file.name, exported, count, solved });
+        options.hidden = false;
+    } catch (e) {
+        summary.textContent = file.name;
+        error.textContent = e.message;
+        options.hidden = true;
+    }
+
+    openDialog(modal, { close: closeImportModal });
+}
+
+// Apply the pending import ('merge' keeps the best result per riddle, 'replace' overwrites everything)
+async function confirmImport(mode) {
+    if (!pendingImport) return;
+
+    const { riddleProgress: incoming, settings, dailyHistory } = pendingImport;
+    if (mode === 'replace') {
+        riddleProgress = incoming;
+        saveDailyHistory(dailyHistory, activeProfile.id);
+        if (Number.isInteger(settings.currentRiddleIndex) && settings.currentRiddleIndex >= 0 && settings.currentRiddleIndex < getRiddleCount()) {
+            currentRiddleIndex = settings.currentRiddleIndex;
+        }
+        if (settings.answerMode === ANSWER_MODE_TEXT || settings.answerMode === ANSWER_MODE_CHOICE) {
+            answerMode = settings.answerMode;
+            saveAnswerMode(answerMode, activeProfile.id);
+            updateAnswerModeButton();
+        }
+        if (LOCALES[settings.locale]) {
+            saveLocale(settings.locale, activeProfile.id);
+            await setLocale(settings.locale);
+            applyLanguage();
+        }
+    } else {
+        riddleProgress = mergeRiddleProgress(riddleProgress, incoming);
+        saveDailyHistory(mergeDailyHistory(loadDailyHistory(activeProfile.id), dailyHistory), activeProfile.id);
+    }
+
+    saveProgress();
+    pendingImport = null;
+    closeImportModal();
+    loadRiddle(currentRiddleIndex, { daily: Boolean(dailyMode), history: 'replace' });
+    showNotice(t(mode === 'replace' ? 'import.replaced' : 'import.merged'), '#64ffda');
+}
+
+function closeImportModal() {
+    pendingImport = null;
+    const modal = document.getElementById('importModal');
+    if (modal) {
+        closeDialog(modal);
+    }
+}
+
+// Redraw everything on screen in the current language: the static page, the riddle being played
+// (translated again in place so party rounds and speedrun splits carry on) and the status bars
+function applyLanguage() {
+    stopSpeaking();
+    translatePage();
+    updateLanguageSelect();
+    activeProfile = getActiveProfile(); // Picks up the default profile's name in the new language
+    updateProfileButton();
+    updateAuthButton();
+    updateAnswerModeButton();
+    updateReadAloudButtons();
+    updateVoiceButton();
+
+    if (currentRiddle) {
+        currentRiddle = localizeRiddle(getRiddleByIndex(currentRiddleIndex), getLocale());
+        renderRiddleText();
+        showAttempts(attempts);
+        renderQuestion();
+    } else if (placeholderView) {
+        placeholderView();
+    }
+    updateDailyBanner();
+    updatePartyBar();
+    updateSpeedrunBar();
+}
+
+function updateLanguageSelect() {
+    const select = document.getElementById('languageSelect');
+    if (select) {
+        fillSelect(select, Object.entries(LOCALES), getLocale());
+    }
+}
+
+// Switch the active profile's language
+async function changeLanguage(locale) {
+    const next = await setLocale(locale);
+    saveLocale(next, activeProfile.id);
+    applyLanguage();
+    showNotice(t('language.changed', { language: LOCALES[next] }), '#64ffda');
+}
+
+// Show the active profile's name in the header
+function updateProfileButton() {
+    const name = document.getElementById('profileName');
+    if (name && activeProfile) {
+        name.textContent = activeProfile.name;
+    }
+}
+
+// Show the profile manager
+function showProfileModal() {
+    const modal = document.getElementById('profileModal');
+    if (!modal) return;
+
+    document.getElementById('profileError').textContent = '';
+    document.getElementById('newProfileName').value = '';
+    renderProfileList();
+    openDialog(modal, { close: closeProfileModal });
+}
+
+function closeProfileModal() {
+    const modal = document.getElementById('profileModal');
+    if (modal) {
+        closeDialog(modal);
+    }
+}
+
+// List profiles with switch, rename and delete actions
+function renderProfileList() {
+    const list = document.getElementById('profileList');
+    if (!list) return;
+
+    list.innerHTML = '';
+    loadProfiles().profiles.forEach((profile) => {
+        const isActive = profile.id === activeProfile.id;
+        const row = document.createElement('div');
+        row.className = `profile-row${isActive ? ' active' : ''}`;
+
+        const name = document.createElement('span');
+        name.className = 'profile-row-name';
+        name.textContent = `${isActive ? '▶ ' : ''}${profile.name}`;
+        row.appendChild(name);
+
+        const actions = [
+            ['play', () => switchProfile(profile.id), isActive],
+            ['rename', () => promptRenameProfile(profile.id), false],
+            ['delete', () => confirmDeleteProfile(profile.id), profile.id === DEFAULT_PROFILE_ID]
+        ];
+        actions.forEach(([action, handler, disabled]) => {
+            const button = document.createElement('button');
+            button.className = 'profile-action-btn';
+            button.textContent = t(`profile.${action}`);
+            button.disabled = disabled;
+            button.setAttribute('aria-label', t(`profile.${action}Label`, { name: profile.name }));
+            button.addEventListener('click', handler);
+            row.appendChild(button);
+        });
+        list.appendChild(row);
+    });
+}
+
+// Report a profile management error inside the profile modal
+function showProfileError(error) {
+    const message = document.getElementById('profileError');
+    if (message) {
+        message.textContent = error.message;
+    }
+}
+
+// Create a profile from the name field and switch to it
+async function createNewProfile() {
+    const input = document.getElementById('newProfileName');
+    try {
+        const profile = createProfile(input.value);
+        input.value = '';
+        await switchProfile(profile.id);
+    } catch (error) {
+        showProfileError(error);
+    }
+}
+
+// Make another profile active and reload the current riddle with its progress
+async function switchProfile(id) {
+    try {
+        activeProfile = setActiveProfile(id);
+    } catch (error) {
+        showProfileError(error);
+        return;
+    }
+
+    const riddleIndex = currentRiddleIndex;
+    const wasDaily = Boolean(dailyMode);
+    revealedSolutions = {};
+    lastScore = null;
+    answerMode = loadAnswerMode(activeProfile.id);
+    speechSettings = loadSpeechSettings(activeProfile.id);
+    shortcutBindings = loadShortcuts(activeProfile.id);
+    await setLocale(loadLocale(activeProfile.id));
+    applyLanguage();
+    await loadProgress();
+    updateProfileButton();
+    renderProfileList();
+    closeProfileModal();
+
+    // Stay on the riddle that was showing, now with the new profile's state
+    if (currentRiddle) {
+        await loadRiddle(riddleIndex, { daily: wasDaily, history: 'none' });
+    }
+    showNotice(t('profile.playingAs', { name: activeProfile.name }), '#64ffda');
+    pullSyncedProgress();
+}
+
+function promptRenameProfile(id) {
+    const profile = loadProfiles().profiles.find(p => p.id === id);
+    if (!profile) return;
+
+    const name = window.prompt(t('profile.renamePrompt'), profile.name);
+    if (name === null) return;
+    try {
+        const renamed = renameProfile(id, name);
+        if (id === activeProfile.id) {
+            activeProfile = renamed;
+            updateProfileButton();
+        }
+        document.getElementById('profileError').textContent = '';
+        renderProfileList();
+    } catch (error) {
+        showProfileError(error);
+    }
+}
+
+// Delete a profile and all of its progress after confirmation
+async function confirmDeleteProfile(id) {
+    const profile = loadProfiles().profiles.find(p => p.id === id);
+    if (!profile || !confirm(t('profile.deleteConfirm', { name: profile.name }))) return;
+
+    try {
+        deleteProfile(id);
+    } catch (error) {
+        showProfileError(error);
+        return;
+    }
+    await deleteProgressRecord(id);
+    clearDailyHistory(id);
+    clearSpeedrunRecords(id);
+    clearAnswerMode(id);
+    clearLocale(id);
+    clearSpeechSettings(id);
+    clearShortcuts(id);
+
+    if (id === activeProfile.id) {
+        await switchProfile(DEFAULT_PROFILE_ID);
+    } else {
+        renderProfileList();
+    }
+}
+
+// Toggle more menu dropdown
+function toggleMoreMenu() {
+    const menu = document.getElementById('moreMenu');
+    if (menu) {
+        menu.classList.toggle('active');
+    }
+}
+
+function closeMoreMenu() {
+    const menu = document.getElementById('moreMenu');
+    if (menu) {
+        menu.classList.remove('active');
+    }
+}
+
+// Refresh PWA - clear cache and reload
+async function refreshApp() {
+    try {
+        // Clear all caches
+        if ('caches' in window) {
+            const cacheNames = await caches.keys();
+            await Promise.all(
+                cacheNames.map(cacheName => caches.delete(cacheName))
+            );
+            console.log('All caches cleared');
+        }
+        
+        // Unregister all service workers
+        if ('serviceWorker' in navigator) {
+            const registrations = await navigator.serviceWorker.getRegistrations();
+            await Promise.all(
+                registrations.map(registration => registration.unregister())
+            );
+            console.log('All service workers unregistered');
+        }
+        
+        // Reload the page after cache clearing
+        window.location.reload();
+    } catch (error) {
+        console.error('Error refreshing app:', error);
+        // Fallback to reload if cache clearing fails
+        window.location.reload();
+    }
+}
+
+// Register Service Worker for PWA offline support
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        // Get the base path for proper service worker registration
+        // When in /system/riddle.html, we need to find the project root
+        const currentPath = window.location.pathname;
+        
+        // Extract base path - remove /system/riddle.html part
+        let basePath = '';
+        if (currentPath.includes('/system/')) {
+            basePath = currentPath.substring(0, currentPath.indexOf('/system/'));
+        } else {
+            // Fallback: remove filename from path
+            basePath = currentPath.substring(0, currentPath.lastIndexOf('/'));
+        }
+        
+        const swPath = basePath ? `${basePath}/system/js/sw.js` : '/system/js/sw.js';
+        const scope = basePath ? `${basePath}/` : '/';
+        
+        navigator.serviceWorker.register(swPath, { 
+            scope: scope
+        })
+            .then((registration) => {
+                console.log('Service Worker registered successfully:', registration.scope);
+            })
+            .catch((error) => {
+                console.error('Service Worker registration failed:', error);
+            });
+    });
+}
+
+// Initialize game on load
+window.addEventListener('DOMContentLoaded', initGame);
+
+// Make functions available globally for onclick handlers
+window.checkAnswer = checkAnswer;
+window.giveUp = giveUp;
+window.previousRiddle = previousRiddle;
+window.nextRiddle = nextRiddle;
+window.showRiddleSelector = showRiddleSelector;
+window.closeRiddleSelector = closeRiddleSelector;
+window.showRequestRiddleMenu = showRequestRiddleMenu;
+window.closeRequestRiddleModal = closeRequestRiddleModal;
+window.requestViaEmail = requestViaEmail;
+window.requestAICurated = requestAICurated;
+window.toggleMoreMenu = toggleMoreMenu;
+window.refreshApp = refreshApp;
 window.showModal = showModal;
 window.closeModal = closeModal;
 window.showHelpModal = showHelpModal;
 window.closeHelpModal = closeHelpModal;
 window.showHintModal = showHintModal;
 window.closeHintModal = closeHintModal;
+window.showStatsModal = showStatsModal;
+window.startDailyRiddle = startDailyRiddle;
+window.shareDailyResult = shareDailyResult;
+window.exportProgress = exportProgress;
+window.importProgress = importProgress;
+window.confirmImport = confirmImport;
+window.closeImportModal = closeImportModal;
+window.closeStatsModal = closeStatsModal;
+window.revealNextHint = revealNextHint;
+window.showProfileModal = showProfileModal;
+window.closeProfileModal = closeProfileModal;
+window.createNewProfile = createNewProfile;
+window.showPartyModal = showPartyModal;
+window.closePartyModal = closePartyModal;
+window.startParty = startParty;
+window.endParty = endParty;
+window.startSpeedrun = startSpeedrun;
+window.quitSpeedrun = quitSpeedrun;
+window.toggleAnswerMode = toggleAnswerMode;
+window.toggleReadAloud = toggleReadAloud;
+window.toggleVoiceInput = toggleVoiceInput;
+window.toggleReadRiddle = toggleReadRiddle;
+window.readHintsAloud = readHintsAloud;
+window.showSpeechModal = showSpeechModal;
+window.closeSpeechModal = closeSpeechModal;
+window.testVoice = testVoice;
+window.showShortcutsModal = showShortcutsModal;
+window.closeShortcutsModal = closeShortcutsModal;
+window.resetShortcuts = resetShortcuts;
+
+async function checkAnswer() {
+    if (!currentRiddle) return;
+    const riddle = currentRiddle;
+    
+    const input = document.getElementById('guessInput');
+    const guess = input.value.trim().toLowerCase();
+    const feedback = document.getElementById('feedback');
+    
+    if (!guess) {
+        feedback.className = 'feedback wrong';
+        feedback.textContent = t('answer.empty');
+        announce(feedback.textContent);
+        return;
+    }
+
+    await submitGuess(riddle, guess);
+}
+
+// Answer with one of the multiple-choice options
+async function checkChoice(index) {
+    const choice = currentChoices[index];
+    if (!currentRiddle || !choice) return;
+    await submitGuess(currentRiddle, choice.label.trim().toLowerCase(), choice);
+}
+
+// Grade a typed guess or a chosen option (choice) for whoever is playing
+async function submitGuess(riddle, guess, choice = null) {
+    const input = document.getElementById('guessInput');
+
+    if (party) {
+        if (party.round) {
+            await checkPartyAnswer(riddle, guess, choice);
+        }
+        return;
+    }
+    if (speedrun) {
+        await checkSpeedrunAnswer(riddle, guess, choice);
+        return;
+    }
+
+    attempts++;
+    showAttempts(attempts);
+    
+    // Update progress
+    ensureRiddleProgress(currentRiddle.id).attempts = attempts;
+
+    const partsSolved = getPlayerProgress().partsSolved;
+    const result = await gradeGuess(riddle, guess, partsSolved, choice);
+
+    // Ignore the result if the player switched riddles (or answered the part) while hashing
+    if (riddle !== currentRiddle || getPlayerProgress().partsSolved !== partsSolved) return;
+
+    // A riddle in several parts is only solved by answering its last part
+    const correct = result.grade === MATCH_CORRECT;
+    const solved = correct && partsSolved + 1 >= getPartCount(riddle);
+
+    // The share grid shows guesses at the whole riddle, so a part answered on the way is counted
+    // on its own rather than as a correct square
+    updateDailyEntry(entry => {
+        if (correct && !solved) {
+            entry.partsSolved = partsSolved + 1;
+        } else {
+            entry.guesses.push(result.grade);
+        }
+        entry.solved = solved;
+    });
+
+    if (correct && !solved) {
+        const progress = ensureRiddleProgress(riddle.id);
+        progress.partsSolved = partsSolved + 1;
+        progress.partHintsUsed = 0;
+        saveProgress();
+        input.value = '';
+        renderQuestion();
+        showNotice(t('parts.solvedNext', { part: partsSolved + 1, count: getPartCount(riddle) }), '#64ffda');
+        return;
+    }
+
+    // Check if correct
+    if (solved) {
+        const progress = ensureRiddleProgress(riddle.id);
+        const now = Date.now();
+        lastScore = computeScore({
+            attempts,
+            hintsUsed: progress.hintsUsed,
+            timeMs: now - (progress.startedAt || now),
+            gaveUp: progress.gaveUp,
+            parts: getPartCount(riddle)
+        });
+        recordScore(progress, lastScore);
+        if (hasParts(riddle)) {
+            progress.partsSolved = getPartCount(riddle);
+        }
+        // Remember how the riddle was solved; a typed solve replaces an earlier multiple-choice one
+        const mode = choice ? ANSWER_MODE_CHOICE : ANSWER_MODE_TEXT;
+        if (!progress.solvedMode || mode === ANSWER_MODE_TEXT) {
+            progress.solvedMode = mode;
+        }
+        const lockedBefore = getLockedIndexes();
+        progress.solved = true;
+        progress.solvedAt = progress.solvedAt || now;
+        saveProgress();
+        if (isProtectedRiddle(riddle)) {
+            await unlockSolution(riddle, () => unsealSolution(riddle.protected, result));
+        }
+        showModal(true);
+        announceUnlocked(lockedBefore);
+        return;
+    }
+
+    setGuessFeedback(result.grade);
+    saveProgress();
+    input.value = '';
+}
+
+// Grade a guess with the matcher against the part being answered (or the hash check for
+// protected riddles, which have no parts); generated multiple-choice options know if they are right
+async function gradeGuess(riddle, guess, partsSolved = 0, choice = null) {
+    if (choice && choice.correct !== null) {
+        return { grade: choice.correct ? MATCH_CORRECT : MATCH_WRONG, confidence: 1, matched: null };
+    }
+    return isProtectedRiddle(riddle)
+        ? matchProtectedAnswer(guess, riddle.protected)
+        : matchAnswer(guess, getRiddlePart(riddle, partsSolved), getRiddlePart(riddle, partsSolved).answerLocale);
+}
+
+// Feedback for a close or wrong guess at a part (by default the one being answered now)
+function setGuessFeedback(grade, prefix = '', part = getRiddlePart(currentRiddle, getPlayerProgress().partsSolved)) {
+    const feedback = document.getElementById('feedback');
+    // Clear any inline styling left by showNotice()
+    feedback.style.display = '';
+    feedback.style.color = '';
+    if (grade === MATCH_CLOSE) {
+        feedback.className = 'feedback close';
+        feedback.textContent = prefix + (part.closeAnswerFeedback || t('answer.close'));
+    } else {
+        feedback.className = 'feedback wrong';
+        feedback.textContent = prefix + (part.wrongAnswerFeedback || t('answer.wrong'));
+    }
+    announce(feedback.textContent);
+    const custom = grade === MATCH_CLOSE ? part.closeAnswerFeedback : part.wrongAnswerFeedback;
+    readAloud(feedback.textContent, custom ? getRiddleLocale() : getLocale());
+}
+
+// Show the question being answered: the riddle's parts and the answer input for the current one
+function renderQuestion() {
+    renderParts();
+    renderAnswerInput();
+}
+
+// Show the parts of a multi-part riddle for whoever is playing: answered parts with their answers,
+// the question being asked, and how many are left (hidden for riddles without parts)
+function renderParts() {
+    const container = document.getElementById('riddleParts');
+    const input = document.getElementById('guessInput');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.hidden = !hasParts(currentRiddle);
+    input.placeholder = t('answer.placeholder');
+    if (container.hidden) return;
+
+    const progress = getPlayerProgress();
+    const count = getPartCount(currentRiddle);
+    const answered = progress.solved ? count : Math.min(progress.partsSolved, count - 1);
+
+    const status = document.createElement('div');
+    status.className = 'riddle-parts-status';
+    status.textContent = progress.solved ? t('parts.allSolved', { count }) : t('parts.status', { part: answered + 1, count });
+    container.appendChild(status);
+
+    const list = document.createElement('ol');
+    currentRiddle.parts.forEach((part, index) => {
+        const item = document.createElement('li');
+        if (index < answered) {
+            item.className = 'riddle-part solved';
+            item.textContent = `✅ ${part.prompt} — ${part.answer}`;
+        } else if (index === answered) {
+            item.className = 'riddle-part current';
+            item.textContent = `❓ ${part.prompt}`;
+        } else {
+            item.className = 'riddle-part locked';
+            item.textContent = t('parts.locked', { part: index + 1 });
+        }
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    if (!progress.solved) {
+        input.placeholder = currentRiddle.parts[answered].prompt;
+    }
+}
+
+// Show the multiple-choice options for the question being answered, or the text input
+// (also when the riddle has nothing to choose from, e.g. a protected riddle without `choices`)
+async function renderAnswerInput() {
+    const list = document.getElementById('choiceList');
+    const input = document.getElementById('guessInput');
+    const submitBtn = document.getElementById('submitBtn');
+    if (!list) return;
+
+    const riddle = currentRiddle;
+    let choices = [];
+    if (riddle && answerMode === ANSWER_MODE_CHOICE) {
+        const partIndex = Math.min(getPlayerProgress().partsSolved, getPartCount(riddle) - 1);
+        const part = getRiddlePart(riddle, partIndex);
+        const otherAnswers = part.choices ? [] : await getOtherAnswers(riddle);
+
+        // Ignore the result if the riddle or part changed while the other riddles were loading
+        if (riddle !== currentRiddle || Math.min(getPlayerProgress().partsSolved, getPartCount(riddle) - 1) !== partIndex) return;
+        choices = buildChoices(part, otherAnswers, `${riddle.id}:${partIndex}`);
+    }
+
+    const choosing = choices.length > 0;
+    currentChoices = choices;
+    list.innerHTML = '';
+    list.hidden = !riddle || answerMode !== ANSWER_MODE_CHOICE;
+    input.hidden = choosing;
+    submitBtn.hidden = choosing;
+    updateVoiceButton();
+    input.closest('.input-container').classList.toggle('choice-mode', choosing);
+    if (list.hidden) return;
+
+    if (!choosing) {
+        const note = document.createElement('p');
+        note.className = 'choice-unavailable';
+        note.textContent = t('choices.unavailable');
+        list.appendChild(note);
+        return;
+    }
+
+    choices.forEach((choice, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'choice-btn';
+        button.tabIndex = index === 0 ? 0 : -1;
+        button.setAttribute('aria-keyshortcuts', `${index + 1}`);
+        const key = document.createElement('span');
+        key.className = 'choice-key';
+        key.setAttribute('aria-hidden', 'true');
+        key.textContent = index + 1;
+        button.appendChild(key);
+        button.appendChild(document.createTextNode(choice.label));
+        button.onclick = () => checkChoice(index);
+        list.appendChild(button);
+    });
+}
+
+// Official answers of the other plaintext riddles and their parts, to use as distractors
+// (in the player's language where those riddles translate their answers)
+// Only choice mode asks for them, so the other riddle modules load the first time choices are
+// shown and never while playing by typing; the manifest stays free of answers
+async function getOtherAnswers(riddle) {
+    const others = await Promise.allSettled(riddles
+        .map((meta, index) => index)
+        .filter(index => riddles[index].id !== riddle.id)
+        .map(index => getRiddleByIndexAsync(index)));
+    return others
+        .filter(result => result.status === 'fulfilled' && result.value && !isProtectedRiddle(result.value))
+        .map(({ value }) => localizeRiddle(value, getLocale()))
+        .flatMap(other => hasParts(other) ? other.parts.map(part => part.answer) : [other.answer]);
+}
+
+// Arrow keys, Home and End move between the choices; number keys pick one directly
+function handleChoiceKeydown(e) {
+    const buttons = Array.from(document.querySelectorAll('#choiceList .choice-btn'));
+    if (buttons.length === 0) return;
+
+    const current = buttons.indexOf(document.activeElement);
+    let next;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowRight') {
+        next = (current + 1) % buttons.length;
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') {
+        next = current <= 0 ? buttons.length - 1 : current - 1;
+    } else if (e.key === 'Home') {
+        next = 0;
+    } else if (e.key === 'End') {
+        next = buttons.length - 1;
+    } else if (/^[1-9]$/.test(e.key) && Number(e.key) <= buttons.length) {
+        e.preventDefault();
+        checkChoice(Number(e.key) - 1);
+        return;
+    } else {
+        return;
+    }
+
+    e.preventDefault();
+    buttons.forEach((button, index) => {
+        button.tabIndex = index === next ? 0 : -1;
+    });
+    buttons[next].focus();
+}
+
+// Switch the active profile between typed answers and multiple choice
+function toggleAnswerMode() {
+    answerMode = answerMode === ANSWER_MODE_CHOICE ? ANSWER_MODE_TEXT : ANSWER_MODE_CHOICE;
+    saveAnswerMode(answerMode, activeProfile.id);
+    updateAnswerModeButton();
+    renderAnswerInput();
+    showNotice(t(answerMode === ANSWER_MODE_CHOICE ? 'choices.on' : 'choices.off'), '#64ffda');
+}
+
+function updateAnswerModeButton() {
+    const button = document.getElementById('answerModeButton');
+    if (!button) return;
+    const on = answerMode === ANSWER_MODE_CHOICE;
+    button.textContent = t(on ? 'choices.buttonOn' : 'choices.buttonOff');
+    button.setAttribute('aria-pressed', String(on));
+}
+
+// Recognizer error codes with their own message (others get voice.failed; 'aborted' is a deliberate stop)
+const VOICE_ERROR_MESSAGES = {
+    'no-speech': 'voice.noSpeech',
+    'not-allowed': 'voice.denied',
+    'service-not-allowed': 'voice.denied'
+};
+
+// Speak a guess: words are shown in the answer field as they are heard, then each of the
+// recognizer's alternative transcripts is graded and the best one is submitted
+// Pressing the microphone again while listening stops without guessing
+function toggleVoiceInput() {
+    if (isListening()) {
+        stopListening();
+        return;
+    }
+    if (!currentRiddle) return;
+
+    const riddle = currentRiddle;
+    const partsSolved = getPlayerProgress().partsSolved;
+    const input = document.getElementById('guessInput');
+    stopSpeaking();
+    const started = startListening({
+        locale: getRiddlePart(riddle, partsSolved).answerLocale || DEFAULT_MATCH_LOCALE,
+        onInterim: (text) => {
+            input.value = text;
+        },
+        onResult: async (transcripts) => {
+            const best = await pickBestTranscript(transcripts, transcript => gradeGuess(riddle, transcript, partsSolved));
+            if (!best || riddle !== currentRiddle) return;
+            input.value = best.transcript;
+            await checkAnswer();
+        },
+        onError: (code) => {
+            if (code !== 'aborted') {
+                showNotice(t(VOICE_ERROR_MESSAGES[code] || 'voice.failed'), '#ff8800');
+            }
+        },
+        onEnd: updateVoiceButton
+    });
+    if (!started) {
+        showNotice(t('voice.failed'), '#ff8800');
+    }
+    updateVoiceButton();
+}
+
+// Show the microphone next to the typed answer where speech recognition is available, and
+// whether it is listening
+function updateVoiceButton() {
+    const button = document.getElementById('voiceInputBtn');
+    const input = document.getElementById('guessInput');
+    if (!button || !input) return;
+
+    button.hidden = input.hidden || !isVoiceInputAvailable();
+    input.closest('.input-container').classList.toggle('voice-input', !button.hidden);
+    if (button.hidden) {
+        stopListening();
+        return;
+    }
+
+    const listening = isListening();
+    const label = t(listening ? 'voice.stop' : 'voice.start');
+    button.classList.toggle('listening', listening);
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.setAttribute('aria-pressed', String(listening));
+    input.placeholder = t(listening ? 'voice.listening' : 'answer.placeholder');
+}
+
+// Language the current riddle's own text is written in: the player's if the riddle translates it
+function getRiddleLocale() {
+    return currentRiddle && currentRiddle.locales && currentRiddle.locales[getLocale()] ? getLocale() : DEFAULT_LOCALE;
+}
+
+// Read segments ({ text, line?, pauseBefore }) aloud with the profile's voice, highlighting riddle
+// lines as they are read
+function readSegments(segments, locale) {
+    speak(segments, {
+        settings: speechSettings,
+        locale,
+        onSegment: (segment) => {
+            highlightRiddleLine(segment ? segment.line : null);
+            updateReadAloudButtons();
+        }
+    });
+}
+
+// Read a hint or feedback message aloud when read-aloud mode is on
+function readAloud(text, locale = getLocale()) {
+    if (speechSettings.enabled && text) {
+        readSegments([{ text, pauseBefore: false }], locale);
+    }
+}
+
+// Read the current riddle aloud: its title, its text a line at a time with a pause at each stanza
+// break, then the question being asked in a riddle with parts
+function readRiddleAloud() {
+    if (!currentRiddle) return;
+
+    const lines = splitLines(currentRiddle.text);
+    if (lines.length > 0) {
+        lines[0].pauseBefore = true;
+    }
+    const segments = [{ text: currentRiddle.title, pauseBefore: false }, ...lines];
+    const progress = getPlayerProgress();
+    if (hasParts(currentRiddle) && !progress.solved) {
+        segments.push({ text: getRiddlePart(currentRiddle, progress.partsSolved).prompt, pauseBefore: true });
+    }
+    readSegments(segments, getRiddleLocale());
+}
+
+// The speaker button reads the riddle, or stops reading if something is being read
+function toggleReadRiddle() {
+    if (isSpeaking()) {
+        stopSpeaking();
+    } else {
+        readRiddleAloud();
+    }
+}
+
+// Read the hints revealed so far for the question being answered
+function readHintsAloud() {
+    if (!currentRiddle) return;
+    const progress = getPlayerProgress();
+    const hints = getRiddlePart(currentRiddle, progress.partsSolved).hints || [];
+    const revealed = hints.slice(0, getRevealedHintCount(progress));
+    readSegments(revealed.map(text => ({ text, pauseBefore: false })), getRiddleLocale());
+}
+
+// Mark the riddle line being read (null clears the mark)
+function highlightRiddleLine(line) {
+    document.querySelectorAll('#riddleText .riddle-line').forEach((span) => {
+        span.classList.toggle('speaking', Number(span.dataset.line) === line);
+    });
+}
+
+// Turn read-aloud mode on or off for the active profile; turning it on reads the current riddle
+function toggleReadAloud() {
+    if (!isSpeechAvailable()) {
+        showNotice(t('speech.unavailable'), '#ff8800');
+        return;
+    }
+    speechSettings = { ...speechSettings, enabled: !speechSettings.enabled };
+    saveSpeechSettings(speechSettings, activeProfile.id);
+    updateReadAloudButtons();
+    showNotice(t(speechSettings.enabled ? 'speech.on' : 'speech.off'), '#64ffda');
+    if (speechSettings.enabled) {
+        readRiddleAloud();
+    } else {
+        stopSpeaking();
+    }
+}
+
+// Sync the speaker button and the read-aloud menu item with what is being read and the saved mode
+function updateReadAloudButtons() {
+    const readButton = document.getElementById('readAloudBtn');
+    if (readButton) {
+        const speaking = isSpeaking();
+        const label = t(speaking ? 'speech.stopLabel' : 'speech.readLabel');
+        readButton.classList.toggle('speaking', speaking);
+        readButton.title = label;
+        readButton.setAttribute('aria-label', label);
+    }
+    const modeButton = document.getElementById('readAloudButton');
+    if (modeButton) {
+        modeButton.textContent = t(speechSettings.enabled ? 'speech.buttonOn' : 'speech.buttonOff');
+        modeButton.setAttribute('aria-pressed', String(speechSettings.enabled));
+    }
+}
+
+// Show the voice, rate and pitch settings
+function showSpeechModal() {
+    const modal = document.getElementById('speechModal');
+    if (!modal) return;
+    renderSpeechSettings();
+    openDialog(modal, { close: closeSpeechModal });
+}
+
+function closeSpeechModal() {
+    const modal = document.getElementById('speechModal');
+    if (modal) {
+        closeDialog(modal);
+    }
+}
+
+// Fill the voice settings form from the active profile's settings
+function renderSpeechSettings() {
+    const voices = getVoices(getLocale());
+    const voice = voices.some(option => option.voiceURI === speechSettings.voice) ? speechSettings.voice : '';
+    fillSelect(document.getElementById('speechVoice'),
+        [['', t('speech.defaultVoice')], ...voices.map(option => [option.voiceURI, `${option.name} (${option.lang})`])], voice);
+    document.getElementById('speechRate').value = speechSettings.rate;
+    document.getElementById('speechPitch').value = speechSettings.pitch;
+    updateSpeechValues();
+}
+
+function updateSpeechValues() {
+    document.getElementById('speechRateValue').textContent = `${speechSettings.rate.toFixed(1)}×`;
+    document.getElementById('speechPitchValue').textContent = speechSettings.pitch.toFixed(1);
+}
+
+// Save the voice settings form for the active profile
+function updateSpeechSettings() {
+    speechSettings = {
+        ...speechSettings,
+        voice: document.getElementById('speechVoice').value || null,
+        rate: Number(document.getElementById('speechRate').value),
+        pitch: Number(document.getElementById('speechPitch').value)
+    };
+    saveSpeechSettings(speechSettings, activeProfile.id);
+    updateSpeechValues();
+}
+
+// Read a sample sentence with the chosen settings
+function testVoice() {
+    readSegments([{ text: t('speech.sample'), pauseBefore: false }], getLocale());
+}
+
+async function giveUp() {
+    const riddle = currentRiddle;
+    if (!riddle) return;
+
+    if (party) {
+        if (party.round) {
+            await passPartyTurn();
+        }
+        return;
+    }
+    if (speedrun) {
+        skipSpeedrunRiddle();
+        return;
+    }
+
+    // Giving up forfeits the points for this riddle (unless it was already solved)
+    const progress = ensureRiddleProgress(riddle.id);
+    if (!progress.solved && !progress.gaveUp) {
+        progress.gaveUp = true;
+        progress.gaveUpAt = Date.now();
+        recordScore(progress, computeScore({ gaveUp: true }));
+        saveProgress();
+    }
+
+    updateDailyEntry(entry => {
+        entry.gaveUp = true;
+    });
+
+    if (isProtectedRiddle(riddle)) {
+        await unlockSolution(riddle, () => revealSolution(riddle.protected));
+    }
+    showModal(false);
+}
+
+// Decrypt and remember the solution of a protected riddle
+async function unlockSolution(riddle, open) {
+    if (revealedSolutions[riddle.id]) return;
+    try {
+        revealedSolutions[riddle.id] = await open();
+    } catch (error) {
+        console.error('Failed to decrypt riddle solution:', error);
+    }
+}
+
+// Get { answer, explanation } for a riddle, whether plaintext or protected
+// (a protected riddle encrypts its translated solutions with the English one)
+function getSolution(riddle) {
+    if (isProtectedRiddle(riddle)) {
+        const solution = revealedSolutions[riddle.id];
+        if (!solution) {
+            return { answer: t('answer.unavailable'), explanation: '' };
+        }
+        const translation = (solution.locales && solution.locales[getLocale()]) || {};
+        return { answer: translation.answer || solution.answer, explanation: translation.explanation || solution.explanation };
+    }
+    return { answer: riddle.answer, explanation: riddle.explanation };
+}
+
+function showModal(won) {
+    if (!currentRiddle) return;
+    
+    const modal = document.getElementById('modal');
+    const title = document.getElementById('modalTitle');
+    const message = document.getElementById('modalMessage');
+    const answerText = document.querySelector('.answer-text');
+    const explanationText = document.querySelector('.explanation-text');
+
+    const hintsUsed = formatHintCount(getRiddleProgress(currentRiddle.id).hintsUsed);
+
+    if (speedrun && lastSplit) {
+        title.textContent = t('speedrun.splitTitle', { split: speedrun.splits.length, count: speedrun.riddleIds.length });
+        message.textContent = t('speedrun.splitMessage', { attempts: t('count.attempts', { count: lastSplit.attempts }), hints: formatHintCount(lastSplit.hintsUsed) });
+    } else if (won) {
+        title.textContent = t('modal.wonTitle');
+        message.textContent = t('modal.wonMessage', { attempts: t('count.attempts', { count: attempts }), hints: hintsUsed });
+    } else {
+        title.textContent = t('modal.revealTitle');
+        message.textContent = t('modal.revealMessage', { attempts: t('count.attempts', { count: attempts }), hints: hintsUsed });
+    }
+    
+    const solution = getSolution(currentRiddle);
+    answerText.textContent = solution.answer;
+    explanationText.textContent = solution.explanation;
+    renderPartAnswers(currentRiddle);
+
+    if (speedrun && lastSplit) {
+        renderSplitBreakdown(lastSplit);
+    } else {
+        renderScoreBreakdown(won ? lastScore : null);
+    }
+
+    // Daily results can be shared once finished
+    const shareBtn = document.getElementById('shareResultBtn');
+    if (shareBtn) {
+        shareBtn.hidden = !(dailyMode && isDailyFinished(loadDailyHistory(activeProfile.id)[dailyMode.dateKey]));
+    }
+
+    openDialog(modal, { close: closeModal });
+}
+
+// List the answer to each part of a multi-part riddle under its overall answer, or hide the list
+function renderPartAnswers(riddle) {
+    const list = document.getElementById('partAnswers');
+    if (!list) return;
+
+    list.innerHTML = '';
+    list.hidden = !hasParts(riddle);
+    if (list.hidden) return;
+
+    riddle.parts.forEach((part) => {
+        const item = document.createElement('li');
+        const prompt = document.createElement('span');
+        prompt.className = 'part-prompt';
+        prompt.textContent = part.prompt;
+        item.appendChild(prompt);
+        item.appendChild(document.createTextNode(` ${part.answer}`));
+        list.appendChild(item);
+    });
+}
+
+// Show the points earned for a solve, or hide the breakdown
+function renderScoreBreakdown(score) {
+    const container = document.getElementById('scoreBreakdown');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.hidden = !score;
+    if (!score) return;
+
+    const table = document.createElement('table');
+    score.breakdown.forEach(({ label, points }) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        row.insertCell().textContent = points > 0 ? `+${points}` : `${points}`;
+    });
+
+    const totalRow = table.insertRow();
+    totalRow.className = 'score-total';
+    totalRow.insertCell().textContent = t('score.total');
+    totalRow.insertCell().textContent = `${score.total}`;
+
+    const progress = getRiddleProgress(currentRiddle.id);
+    const summary = document.createElement('p');
+    summary.className = 'score-summary';
+    summary.textContent = t('score.summary', { best: progress.bestScore || 0, total: getTotalScore(riddleProgress) });
+
+    container.appendChild(table);
+    container.appendChild(summary);
+}
+
+function closeModal() {
+    const wasOpen = closeDialog(document.getElementById('modal'));
+
+    // Closing a party round summary moves on to the next round (or back to single player)
+    if (wasOpen && party && !party.round) {
+        continueParty();
+    }
+    // Closing a speedrun split moves on to the next riddle
+    if (wasOpen && speedrun && lastSplit) {
+        lastSplit = null;
+        continueSpeedrun();
+    }
+}
+
+// Start a speedrun through every riddle in the registry
+function startSpeedrun() {
+    if (party) {
+        showNotice(t('speedrun.partyActive'), '#ff8800');
+        return;
+    }
+    if (speedrun) return;
+
+    const count = getRiddleCount();
+    const confirmed = confirm(t('speedrun.confirm', {
+        count,
+        wrong: formatPenalty(WRONG_ATTEMPT_PENALTY_MS),
+        hint: formatPenalty(HINT_PENALTY_MS),
+        skip: formatPenalty(SKIP_PENALTY_MS)
+    }));
+    if (!confirmed) return;
+
+    // Locked riddles are included, after the riddles they require
+    speedrun = createRun(getRiddlesInUnlockOrder().map(riddle => riddle.id));
+    lastSplit = null;
+    clearInterval(speedrunTimer);
+    speedrunTimer = setInterval(updateSpeedrunClock, 100);
+    loadRiddle(getRiddleIndex(getRunRiddleId(speedrun)));
+}
+
+// Grade a guess against the current split
+async function checkSpeedrunAnswer(riddle, guess, choice) {
+    const input = document.getElementById('guessInput');
+    const partsSolved = speedrun.partsSolved;
+    const result = await gradeGuess(riddle, guess, partsSolved, choice);
+
+    // Ignore the result if the riddle changed or the run ended while hashing
+    if (riddle !== currentRiddle || !speedrun || lastSplit || speedrun.partsSolved !== partsSolved) return;
+
+    speedrun.attempts++;
+    input.value = '';
+    if (result.grade === MATCH_CORRECT && partsSolved + 1 < getPartCount(riddle)) {
+        solveSplitPart(speedrun);
+        renderQuestion();
+        updateSpeedrunBar();
+        showNotice(t('parts.solved', { part: partsSolved + 1, count: getPartCount(riddle) }), '#64ffda');
+        return;
+    }
+    if (result.grade === MATCH_CORRECT) {
+        lastSplit = finishSplit(speedrun, { solved: true });
+        if (isProtectedRiddle(riddle)) {
+            await unlockSolution(riddle, () => unsealSolution(riddle.protected, result));
+        }
+        updateSpeedrunBar();
+        showModal(true);
+        return;
+    }
+
+    setGuessFeedback(result.grade);
+    updateSpeedrunBar();
+}
+
+// Skip the current riddle with a time penalty
+async function skipSpeedrunRiddle() {
+    if (!speedrun || lastSplit || speedrun.splitStartedAt === null) return;
+
+    finishSplit(speedrun, { solved: false });
+    await continueSpeedrun();
+    showNotice(t('speedrun.skipped', { penalty: formatPenalty(SKIP_PENALTY_MS) }), '#ff8800');
+}
+
+// Load the run's next riddle, or finish the run after the last split
+async function continueSpeedrun() {
+    if (isRunFinished(speedrun)) {
+        endSpeedrun(true);
+        return;
+    }
+    await loadRiddle(getRiddleIndex(getRunRiddleId(speedrun)));
+}
+
+// Stop the run, save it to the run history and (optionally) show the results
+function endSpeedrun(showResults) {
+    if (!speedrun) return;
+
+    const run = speedrun;
+    speedrun = null;
+    lastSplit = null;
+    clearInterval(speedrunTimer);
+    speedrunTimer = null;
+
+    const previous = loadSpeedrunRecords(activeProfile.id);
+    const saved = run.splits.length ? saveRun(run, activeProfile.id) : null;
+    updateSpeedrunBar();
+    updateNavigationButtons();
+    showAttempts(attempts);
+    if (showResults && saved) {
+        showSpeedrunResults(run, previous, saved);
+    }
+}
+
+// End the run early from the speedrun bar
+function quitSpeedrun() {
+    if (!speedrun || !confirm(t('speedrun.quitConfirm'))) return;
+    endSpeedrun(true);
+}
+
+// Show the split time, penalties and comparison with the personal best in the solve modal
+function renderSplitBreakdown(split) {
+    const container = document.getElementById('scoreBreakdown');
+    if (!container) return;
+
+    const records = loadSpeedrunRecords(activeProfile.id);
+    const table = document.createElement('table');
+    [
+        [t('speedrun.time'), formatClock(split.rawMs)],
+        [t('speedrun.penalties'), `+${formatClock(split.penaltyMs)}`],
+        [t('speedrun.personalBest'), records.bestSplits[split.riddleId] !== undefined ? formatClock(records.bestSplits[split.riddleId]) : '–']
+    ].forEach(([label, value]) => {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        row.insertCell().textContent = value;
+    });
+
+    const totalRow = table.insertRow();
+    totalRow.className = 'score-total';
+    totalRow.insertCell().textContent = t('speedrun.split');
+    totalRow.insertCell().textContent = `${formatClock(split.timeMs)} (${formatDelta(getSplitDelta(records, split))})`;
+
+    container.innerHTML = '';
+    container.hidden = false;
+    container.appendChild(table);
+}
+
+// Show every split of a finished run against the personal bests, plus recent runs
+function showSpeedrunResults(run, previous, saved) {
+    const title = document.getElementById('modalTitle');
+    const message = document.getElementById('modalMessage');
+    const container = document.getElementById('scoreBreakdown');
+    const totalMs = saved.records.runs[0].totalMs;
+    const completed = isRunFinished(run);
+
+    title.textContent = t(completed ? 'speedrun.completeTitle' : 'speedrun.endedTitle');
+    if (saved.newBestTotal) {
+        message.textContent = t('speedrun.newBest', { time: formatClock(totalMs) });
+    } else if (completed) {
+        message.textContent = t('speedrun.finished', { time: formatClock(totalMs), best: formatClock(saved.records.bestTotalMs) });
+    } else {
+        message.textContent = t('speedrun.partial', { splits: run.splits.length, count: run.riddleIds.length, time: formatClock(totalMs) });
+    }
+    document.querySelector('.answer-text').textContent = '';
+    document.querySelector('.explanation-text').textContent = '';
+
+    const splits = document.createElement('table');
+    run.splits.forEach((split, index) => {
+        const meta = getRiddleMeta(getRiddleIndex(split.riddleId));
+        const row = splits.insertRow();
+        row.insertCell().textContent = t(split.skipped ? 'speedrun.skippedRow' : 'speedrun.splitRow', {
+            number: index + 1,
+            title: meta ? getRiddleTitle(meta) : split.riddleId
+        });
+        row.insertCell().textContent = formatClock(split.timeMs);
+        row.insertCell().textContent = formatDelta(getSplitDelta(previous, split));
+    });
+
+    const history = document.createElement('table');
+    history.className = 'speedrun-history';
+    saved.records.runs.slice(0, 5).forEach((entry) => {
+        const row = history.insertRow();
+        row.insertCell().textContent = new Date(entry.startedAt).toLocaleDateString(getLocale());
+        row.insertCell().textContent = entry.completed ? t('speedrun.complete') : `${entry.splits.length}/${entry.riddleCount}`;
+        row.insertCell().textContent = formatClock(entry.totalMs);
+    });
+    const historyTitle = document.createElement('p');
+    historyTitle.className = 'score-summary';
+    historyTitle.textContent = t('speedrun.recentRuns');
 
-function checkAnswer() {
-    if (!currentRiddle) return;
-    
-    const input = document.getElementById('guessInput');
-    const guess = input.value.trim().toLowerCase();
-    const feedback = document.getElementById('feedback');
-    
-    if (!guess) {
-        feedback.className = 'feedback wrong';
-        feedback.textContent = 'Please enter an answer!';
+    container.innerHTML = '';
+    container.hidden = false;
+    container.append(splits, historyTitle, history);
+
+    const shareBtn = document.getElementById('shareResultBtn');
+    if (shareBtn) {
+        shareBtn.hidden = true;
+    }
+    openDialog(document.getElementById('modal'), { close: closeModal });
+}
+
+// Redraw the running clock
+function updateSpeedrunClock() {
+    const clock = document.getElementById('speedrunClock');
+    if (clock && speedrun) {
+        clock.textContent = formatClock(getRunElapsedMs(speedrun));
+    }
+}
+
+// Show the run clock, split number and personal best while a speedrun is on
+function updateSpeedrunBar() {
+    const bar = document.getElementById('speedrunBar');
+    if (!bar) return;
+
+    bar.hidden = !speedrun;
+    if (!speedrun) return;
+
+    const records = loadSpeedrunRecords(activeProfile.id);
+    const split = Math.min(speedrun.index + 1, speedrun.riddleIds.length);
+    const best = records.bestTotalMs !== null ? ` · ${t('speedrun.personalBestShort', { time: formatClock(records.bestTotalMs) })}` : '';
+    document.getElementById('speedrunStatus').textContent = t('speedrun.status', { split, count: speedrun.riddleIds.length }) + best;
+    showAttempts(speedrun.attempts);
+    updateSpeedrunClock();
+}
+
+// Show the party setup form
+function showPartyModal() {
+    const modal = document.getElementById('partyModal');
+    const list = document.getElementById('partyPlayers');
+    if (!modal || !list) return;
+
+    // Keep names from the last party so a rematch is quick
+    if (!list.children.length) {
+        for (let i = 0; i < MAX_PLAYERS; i++) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.maxLength = 20;
+            input.autocomplete = 'off';
+            list.appendChild(input);
+        }
+    }
+    Array.from(list.children).forEach((input, i) => {
+        input.placeholder = t(i < MIN_PLAYERS ? 'party.player' : 'party.playerOptional', { number: i + 1 });
+        input.setAttribute('aria-label', t('party.playerLabel', { number: i + 1 }));
+    });
+    document.getElementById('partyError').textContent = '';
+    openDialog(modal, { close: closePartyModal });
+}
+
+function closePartyModal() {
+    const modal = document.getElementById('partyModal');
+    if (modal) {
+        closeDialog(modal);
+    }
+}
+
+// Start a party on the current riddle
+async function startParty() {
+    if (speedrun) {
+        document.getElementById('partyError').textContent = t('party.speedrunActive');
+        return;
+    }
+    const names = Array.from(document.querySelectorAll('#partyPlayers input'), input => input.value);
+    const rounds = parseInt(document.getElementById('partyRounds').value, 10);
+    try {
+        party = createParty(names, rounds);
+    } catch (error) {
+        document.getElementById('partyError').textContent = error.message;
         return;
     }
 
-    attempts++;
-    document.getElementById('attempts').textContent = `Attempts: ${attempts}`;
-    
-    // Update progress
-    riddleProgress[currentRiddle.id] = riddleProgress[currentRiddle.id] || { attempts: 0, solved: false };
-    riddleProgress[currentRiddle.id].attempts = attempts;
+    closePartyModal();
+    const index = currentRiddle ? currentRiddleIndex : Math.max(0, findUnlockedIndex(-1, 1));
+    await loadRiddle(index, { history: 'replace' });
+    showNotice(t('party.started', { player: getCurrentPlayerName(party) }), '#64ffda');
+}
 
-    // Check if correct
-    if (currentRiddle.correctAnswers.some(answer => guess.includes(answer))) {
-        riddleProgress[currentRiddle.id].solved = true;
-        saveProgress();
-        showModal(true);
+// Grade the current party player's guess and hand the turn on
+async function checkPartyAnswer(riddle, guess, choice) {
+    const input = document.getElementById('guessInput');
+    const turn = party.round.turn;
+    const partsSolved = getCurrentPlayerState(party).partsSolved;
+    const result = await gradeGuess(riddle, guess, partsSolved, choice);
+
+    // Ignore the result if the riddle changed, the turn moved on or the party ended while hashing
+    if (riddle !== currentRiddle || !party || !party.round || party.round.turn !== turn) return;
+
+    const player = getCurrentPlayerName(party);
+    const correct = result.grade === MATCH_CORRECT;
+    recordGuess(party, correct, getPartCount(riddle));
+    const solved = party.round.players[turn].solved;
+    input.value = '';
+
+    if (solved && isProtectedRiddle(riddle)) {
+        await unlockSolution(riddle, () => unsealSolution(riddle.protected, result));
+    }
+    if (isRoundFinished(party.round)) {
+        await endPartyRound();
         return;
     }
 
-    // Check if close
-    if (currentRiddle.closeAnswers.some(answer => guess.includes(answer))) {
-        feedback.className = 'feedback close';
-        feedback.textContent = currentRiddle.closeAnswerFeedback || 'You\'re getting warm... but not quite there.';
+    if (solved) {
+        showNotice(t('party.solved', { player }), '#64ffda');
+    } else if (correct) {
+        showNotice(t('party.partSolved', { player, part: partsSolved + 1, count: getPartCount(riddle) }), '#64ffda');
     } else {
-        feedback.className = 'feedback wrong';
-        feedback.textContent = currentRiddle.wrongAnswerFeedback || 'Not quite. Think deeper about the riddle...';
+        setGuessFeedback(result.grade, t('party.guess', { player }), getRiddlePart(riddle, partsSolved));
     }
-    
-    saveProgress();
-    input.value = '';
+    renderQuestion();
+    updatePartyBar();
 }
 
-function giveUp() {
-    showModal(false);
+// The current party player gives up on this round
+async function passPartyTurn() {
+    const player = getCurrentPlayerName(party);
+    passTurn(party);
+    if (isRoundFinished(party.round)) {
+        await endPartyRound();
+        return;
+    }
+
+    showNotice(t('party.passes', { player }), '#ffc107');
+    renderQuestion();
+    updatePartyBar();
 }
 
-function showModal(won) {
-    if (!currentRiddle) return;
-    
-    const modal = document.getElementById('modal');
+// Score the finished round and show its summary
+async function endPartyRound() {
+    const riddle = currentRiddle;
+    const results = finishRound(party);
+    if (isProtectedRiddle(riddle) && !results.some(result => result.solved)) {
+        await unlockSolution(riddle, () => revealSolution(riddle.protected));
+    }
+    updatePartyBar();
+    showPartySummary(results);
+}
+
+// Format a finishing place (0 = first): 1st, 2nd, 3rd...
+function formatPlace(place) {
+    return formatOrdinal(place + 1);
+}
+
+// Show a round summary (and the final leaderboard once the party is over) in the answer modal
+function showPartySummary(results) {
+    const over = isPartyOver(party);
+    const leaderboard = getLeaderboard(party);
+
     const title = document.getElementById('modalTitle');
     const message = document.getElementById('modalMessage');
     const answerText = document.querySelector('.answer-text');
     const explanationText = document.querySelector('.explanation-text');
+    const container = document.getElementById('scoreBreakdown');
 
-    if (won) {
-        title.textContent = '🎯 You Solved It!';
-        message.textContent = `Incredible! You got it in ${attempts} attempt${attempts !== 1 ? 's' : ''}. The answer is:`;
+    if (over) {
+        const winners = leaderboard.filter(player => player.score === leaderboard[0].score);
+        title.textContent = t('party.finalTitle');
+        message.textContent = winners.length > 1
+            ? t('party.tie', { players: formatList(winners.map(player => player.name)) })
+            : t('party.wins', { player: winners[0].name, count: winners[0].score });
     } else {
-        title.textContent = '🔓 The Answer Revealed';
-        message.textContent = `After ${attempts} attempt${attempts !== 1 ? 's' : ''}, here's what you were seeking:`;
+        title.textContent = t('party.roundTitle', { round: party.completedRounds, count: party.totalRounds });
+        message.textContent = results && results[0].solved ? t('party.solvedFirst', { player: results[0].name }) : t('party.nobodySolved');
     }
-    
-    answerText.textContent = currentRiddle.answer;
-    explanationText.textContent = currentRiddle.explanation;
 
-    modal.classList.add('active');
+    const solution = results ? getSolution(currentRiddle) : { answer: '', explanation: '' };
+    answerText.textContent = solution.answer;
+    explanationText.textContent = solution.explanation;
+    renderPartAnswers(results ? currentRiddle : null);
+
+    container.innerHTML = '';
+    container.hidden = false;
+    if (results) {
+        container.appendChild(createPartyTable(results.map(result => [
+            result.name,
+            result.solved
+                ? `${formatPlace(result.place)} · ${t('count.attempts', { count: result.attempts })} · ${formatHintCount(result.hintsUsed)}`
+                : t('party.passed'),
+            `+${result.points}`
+        ])));
+    }
+    const standings = createPartyTable(leaderboard.map((player, index) => [
+        `${index + 1}. ${player.name}`,
+        t('count.solves', { count: player.solves }),
+        `${player.score}`
+    ]));
+    standings.classList.add('party-standings');
+    container.appendChild(standings);
+
+    const shareBtn = document.getElementById('shareResultBtn');
+    if (shareBtn) {
+        shareBtn.hidden = true;
+    }
+    openDialog(document.getElementById('modal'), { close: closeModal });
 }
 
-function closeModal() {
-    const modal = document.getElementById('modal');
-    modal.classList.remove('active');
+function createPartyTable(rows) {
+    const table = document.createElement('table');
+    rows.forEach((cells) => {
+        const row = table.insertRow();
+        cells.forEach((value) => {
+            row.insertCell().textContent = value;
+        });
+    });
+    return table;
+}
+
+// After a round summary: play the next riddle, or leave party mode when the party is over
+function continueParty() {
+    if (isPartyOver(party)) {
+        party = null;
+        loadRiddle(currentRiddleIndex, { history: 'none' });
+        return;
+    }
+    loadRiddle(findUnlockedIndex(currentRiddleIndex, 1, true));
+}
+
+// End the party early; rounds already played still count on the final leaderboard
+function endParty() {
+    if (!party) return;
+
+    if (party.round && !confirm(t('party.endConfirm'))) return;
+
+    party.round = null;
+    if (party.completedRounds === 0) {
+        party = null;
+        loadRiddle(currentRiddleIndex, { history: 'none' });
+        return;
+    }
+    party.totalRounds = party.completedRounds;
+    updatePartyBar();
+    showPartySummary(null);
+}
+
+// Show whose turn it is and the running scores while in party mode
+function updatePartyBar() {
+    const bar = document.getElementById('partyBar');
+    if (!bar) return;
+
+    bar.hidden = !party;
+    if (!party) return;
+
+    const status = document.getElementById('partyStatus');
+    if (party.round) {
+        const player = getCurrentPlayerName(party);
+        status.textContent = t('party.turn', { round: party.completedRounds + 1, count: party.totalRounds, player });
+        document.getElementById('attempts').textContent = t('attempts.player', { player, count: getCurrentPlayerState(party).attempts });
+    } else {
+        status.textContent = t('party.roundComplete', { round: party.completedRounds, count: party.totalRounds });
+    }
+    document.getElementById('partyScores').textContent = party.players.map(player => `${player.name} ${player.score}`).join(' · ');
+}
+
+// Show the player statistics dashboard
+function showStatsModal() {
+    const modal = document.getElementById('statsModal');
+    if (!modal) return;
+
+    const stats = computeStats(getLocalizedRegistry(), riddleProgress);
+
+    // Summary cards
+    const summary = document.getElementById('statsSummary');
+    summary.innerHTML = '';
+    ['solved', 'unsolved', 'averageAttempts', 'giveUpRate', 'hintsUsed', 'fastestSolve', 'currentStreak'].forEach((key) => {
+        const card = document.createElement('div');
+        card.className = 'stats-card';
+        const value = document.createElement('div');
+        value.className = 'stats-card-value';
+        value.textContent = formatStat(stats, key);
+        const name = document.createElement('div');
+        name.className = 'stats-card-label';
+        name.textContent = t(`stats.${key}`);
+        card.append(value, name);
+        summary.appendChild(card);
+    });
+
+    renderAttemptsChart(document.getElementById('statsChart'), stats.perRiddle);
+
+    // Per-riddle table
+    const table = document.getElementById('statsTable');
+    table.innerHTML = '';
+    const header = table.createTHead().insertRow();
+    ['#', 'riddle', 'status', 'attempts', 'hints', 'time', 'best'].forEach((column) => {
+        const th = document.createElement('th');
+        th.textContent = column === '#' ? column : t(`stats.column.${column}`);
+        header.appendChild(th);
+    });
+    const body = table.createTBody();
+    stats.perRiddle.forEach((riddle, index) => {
+        const row = body.insertRow();
+        [
+            index + 1,
+            riddle.title,
+            t(`stats.status.${riddle.status}`),
+            riddle.attempts,
+            riddle.hintsUsed,
+            riddle.timeMs !== null ? formatDuration(riddle.timeMs) : '–',
+            riddle.bestScore
+        ].forEach((value) => {
+            row.insertCell().textContent = value;
+        });
+    });
+
+    openDialog(modal, { close: closeStatsModal });
+}
+
+function closeStatsModal() {
+    const modal = document.getElementById('statsModal');
+    if (modal) {
+        closeDialog(modal);
+    }
 }
 
 function showHelpModal() {
-    const modal = document.getElementById('helpModal');
-    modal.classList.add('active');
+    openDialog(document.getElementById('helpModal'), { close: closeHelpModal });
 }
 
 function closeHelpModal() {
-    const modal = document.getElementById('helpModal');
-    modal.classList.remove('active');
+    closeDialog(document.getElementById('helpModal'));
 }
 
-function showHintModal() {
-    if (!currentRiddle) return;
-    
+// Number of wrong attempts needed before each further hint unlocks (0 = hints always available)
+const DEFAULT_HINT_UNLOCK_ATTEMPTS = 0;
+
+// Format a hint count for display ("no hints", "1 hint", "3 hints")
+function formatHintCount(count) {
+    if (!count) return t('count.noHints');
+    return t('count.hints', { count });
+}
+
+// Wrong attempts still needed before the next hint unlocks (0 when it is available)
+function attemptsUntilNextHint(riddle, progress) {
+    const perHint = riddle.hintUnlockAttempts ?? DEFAULT_HINT_UNLOCK_ATTEMPTS;
+    const required = (progress.hintsUsed + 1) * perHint;
+    return Math.max(0, required - progress.attempts);
+}
+
+// Render the revealed hints and the reveal button state
+function renderHints() {
     const modal = document.getElementById('hintModal');
-    if (!modal) return;
-    
     const hintContent = modal.querySelector('.hint-content');
+    const revealBtn = document.getElementById('revealHintBtn');
+    const status = document.getElementById('hintStatus');
     if (!hintContent) return;
-    
+
+    const progress = getPlayerProgress();
+    const hints = getRiddlePart(currentRiddle, progress.partsSolved).hints || [];
+    const revealed = Math.min(getRevealedHintCount(progress), hints.length);
+    const partLabel = hasParts(currentRiddle) ? t('hints.part', { part: Math.min(progress.partsSolved, getPartCount(currentRiddle) - 1) + 1 }) : '';
+
     // Clear existing hints
     hintContent.innerHTML = '';
+
+    if (hints.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = t('hints.none');
+        hintContent.appendChild(empty);
+    }
+
+    // Add the hints revealed so far
+    hints.slice(0, revealed).forEach((hint, index) => {
+        const p = document.createElement('p');
+        // Last hint gets special styling
+        if (index === hints.length - 1) {
+            p.style.fontStyle = 'italic';
+            p.style.color = '#64ffda';
+            p.style.marginTop = '10px';
+            p.textContent = hint;
+        } else {
+            p.textContent = '• ' + hint;
+        }
+        hintContent.appendChild(p);
+    });
+
+    if (!revealBtn || !status) return;
+
+    const readBtn = document.getElementById('readHintsBtn');
+    if (readBtn) {
+        readBtn.disabled = revealed === 0;
+    }
+
+    const remainingAttempts = attemptsUntilNextHint(currentRiddle, progress);
+    revealBtn.hidden = revealed >= hints.length;
+    revealBtn.disabled = progress.solved || remainingAttempts > 0;
+
+    if (hints.length === 0) {
+        status.textContent = '';
+    } else if (revealed >= hints.length) {
+        status.textContent = partLabel + t('hints.allRevealed', { count: hints.length });
+    } else if (!progress.solved && remainingAttempts > 0) {
+        status.textContent = `${partLabel}${t('hints.revealed', { revealed, count: hints.length })} ${t('hints.nextUnlocks', { count: remainingAttempts })}`;
+    } else {
+        status.textContent = partLabel + t('hints.revealed', { revealed, count: hints.length });
+    }
+}
+
+// Attempts, hints and solved parts of whoever is playing: the current party player,
+// the speedrun split, or the saved progress
+function getPlayerProgress() {
+    let progress;
+    if (party && party.round) {
+        progress = getCurrentPlayerState(party);
+    } else if (speedrun) {
+        progress = { attempts: speedrun.attempts, hintsUsed: speedrun.hintsUsed, partsSolved: speedrun.partsSolved, partHintsUsed: speedrun.partHintsUsed, solved: Boolean(lastSplit) };
+    } else {
+        progress = getRiddleProgress(currentRiddle.id);
+    }
+    return { partsSolved: 0, partHintsUsed: 0, ...progress };
+}
+
+// Hints revealed for the question being answered: each part of a multi-part riddle has its own
+function getRevealedHintCount(progress) {
+    return hasParts(currentRiddle) ? progress.partHintsUsed : progress.hintsUsed;
+}
+
+// Reveal one more hint for the current riddle (or part) and remember it
+function revealNextHint() {
+    if (!currentRiddle) return;
+
+    const progress = getPlayerProgress();
+    const hints = getRiddlePart(currentRiddle, progress.partsSolved).hints || [];
+    if (progress.solved || getRevealedHintCount(progress) >= hints.length) return;
+    if (attemptsUntilNextHint(currentRiddle, progress) > 0) return;
+
+    if (party && party.round) {
+        recordHint(party);
+        updatePartyBar();
+        showRevealedHint();
+        return;
+    }
+    if (speedrun) {
+        speedrun.hintsUsed++;
+        speedrun.partHintsUsed++;
+        updateSpeedrunBar();
+        showRevealedHint();
+        return;
+    }
+
+    const saved = ensureRiddleProgress(currentRiddle.id);
+    saved.hintsUsed = progress.hintsUsed + 1;
+    if (hasParts(currentRiddle)) {
+        saved.partHintsUsed = progress.partHintsUsed + 1;
+    }
+    saveProgress();
+    updateDailyEntry(() => {});
+    showRevealedHint();
+}
+
+// Show a newly revealed hint, reading it out in read-aloud mode
+function showRevealedHint() {
+    renderHints();
+    const progress = getPlayerProgress();
+    const hints = getRiddlePart(currentRiddle, progress.partsSolved).hints || [];
+    readAloud(hints[getRevealedHintCount(progress) - 1], getRiddleLocale());
+}
+
+function showHintModal() {
+    if (!currentRiddle) return;
+    
+    const modal = document.getElementById('hintModal');
+    if (!modal) return;
     
-    // Add hints from current riddle
-    if (currentRiddle.hints && currentRiddle.hints.length > 0) {
-        currentRiddle.hints.forEach((hint, index) => {
-            const p = document.createElement('p');
-            // Last hint gets special styling
-            if (index === currentRiddle.hints.length - 1) {
-                p.style.fontStyle = 'italic';
-                p.style.color = '#64ffda';
-                p.style.marginTop = '10px';
-                p.textContent = hint;
+    renderHints();
+    openDialog(modal, { close: closeHintModal });
+}
+
+function closeHintModal() {
+    closeDialog(document.getElementById('hintModal'));
+}
+
+// What each shortcut action does
+const SHORTCUT_HANDLERS = {
+    previous: previousRiddle,
+    next: nextRiddle,
+    hints: showHintModal,
+    selector: showRiddleSelector,
+    giveUp: confirmGiveUp,
+    shortcuts: showShortcutsModal,
+    palette: togglePalette
+};
+
+// Give up once the player confirms, so a stray key press cannot reveal the answer
+function confirmGiveUp() {
+    if (!currentRiddle || !confirm(t('shortcuts.giveUpConfirm'))) return;
+    giveUp();
+}
+
+// Run the action bound to a key press
+// Single keys are left alone while typing or while a dialog is open; Ctrl and Alt combos work everywhere
+function handleShortcutKeydown(e) {
+    if (e.defaultPrevented || e.isComposing || capturingShortcut) return;
+    const combo = getKeyCombo(e);
+    const action = combo && findShortcutAction(shortcutBindings, combo);
+    if (!action) return;
+    if (!hasModifier(combo) && (isTypingTarget(e.target) || hasOpenDialog())) return;
+
+    e.preventDefault();
+    SHORTCUT_HANDLERS[action]();
+}
+
+// Show the shortcut help, where each action can be rebound
+function showShortcutsModal() {
+    const modal = document.getElementById('shortcutsModal');
+    if (!modal) return;
+    capturingShortcut = null;
+    renderShortcutTable();
+    openDialog(modal, { close: closeShortcutsModal });
+}
+
+function closeShortcutsModal() {
+    capturingShortcut = null;
+    const modal = document.getElementById('shortcutsModal');
+    if (modal) {
+        closeDialog(modal);
+    }
+}
+
+// List each action with its keys and a button to change them
+// focusAction puts focus back on an action's button after the table is redrawn
+function renderShortcutTable(focusAction = null) {
+    const table = document.getElementById('shortcutTable');
+    if (!table) return;
+    table.innerHTML = '';
+    SHORTCUT_ACTIONS.forEach((action) => {
+        const row = table.insertRow();
+        const name = document.createElement('th');
+        name.scope = 'row';
+        name.textContent = t(`shortcuts.action.${action}`);
+        row.appendChild(name);
+
+        const keys = row.insertCell();
+        const combos = shortcutBindings[action];
+        if (capturingShortcut === action) {
+            keys.textContent = t('shortcuts.pressKey');
+        } else if (combos.length === 0) {
+            keys.textContent = t('shortcuts.none');
+        } else {
+            combos.forEach((combo, index) => {
+                if (index > 0) {
+                    keys.append(' / ');
+                }
+                const key = document.createElement('kbd');
+                key.textContent = formatKeyCombo(combo);
+                keys.appendChild(key);
+            });
+        }
+
+        const button = document.createElement('button');
+        button.className = 'shortcut-change-btn';
+        button.dataset.action = action;
+        button.textContent = t(capturingShortcut === action ? 'common.cancel' : 'shortcuts.change');
+        button.setAttribute('aria-label', t('shortcuts.changeLabel', { action: name.textContent }));
+        button.onclick = () => {
+            if (capturingShortcut === action) {
+                stopCapturingShortcut();
             } else {
-                p.textContent = '• ' + hint;
+                capturingShortcut = action;
+                renderShortcutTable(action);
+            }
+        };
+        row.insertCell().appendChild(button);
+    });
+
+    if (focusAction) {
+        table.querySelector(`[data-action="${focusAction}"]`).focus();
+    }
+}
+
+function stopCapturingShortcut() {
+    const action = capturingShortcut;
+    capturingShortcut = null;
+    renderShortcutTable(action);
+}
+
+// While rebinding, the next key pressed becomes the action's shortcut
+// Escape and Enter cancel, and Tab cancels and moves focus on as usual
+function captureShortcutKeydown(e) {
+    if (!capturingShortcut) return;
+    const combo = getKeyCombo(e);
+    if (!combo) return;
+    if (e.key === 'Tab') {
+        stopCapturingShortcut();
+        return;
+    }
+
+    // Keep the key from also closing the dialog or running a shortcut
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key !== 'Escape' && e.key !== 'Enter') {
+        shortcutBindings = bindShortcut(shortcutBindings, capturingShortcut, combo);
+        saveShortcuts(shortcutBindings, activeProfile.id);
+    }
+    stopCapturingShortcut();
+}
+
+// Put back the default shortcuts for the active profile
+function resetShortcuts() {
+    clearShortcuts(activeProfile.id);
+    shortcutBindings = loadShortcuts(activeProfile.id);
+    capturingShortcut = null;
+    renderShortcutTable();
+}
+
+// A palette command for a game action, showing its shortcut keys if it has any
+function createPaletteAction(label, run, shortcut = null) {
+    const combos = shortcut ? shortcutBindings[shortcut] : [];
+    return { label, run, detail: combos.length ? combos.map(formatKeyCombo).join(' / ') : t('palette.command') };
+}
+
+// Everything the palette offers: the game's actions and the More menu's, then every riddle by title
+function getPaletteCommands() {
+    const actions = [
+        createPaletteAction(t('nav.previous'), previousRiddle, 'previous'),
+        createPaletteAction(t('nav.next'), nextRiddle, 'next'),
+        createPaletteAction(t('nav.select'), showRiddleSelector, 'selector'),
+        createPaletteAction(t('app.hintsLabel'), showHintModal, 'hints'),
+        createPaletteAction(t('menu.giveUp'), confirmGiveUp, 'giveUp'),
+        createPaletteAction(t('menu.daily'), () => startDailyRiddle()),
+        createPaletteAction(t('menu.party'), showPartyModal),
+        createPaletteAction(t('menu.speedrun'), startSpeedrun),
+        createPaletteAction(t(answerMode === ANSWER_MODE_CHOICE ? 'choices.buttonOn' : 'choices.buttonOff'), toggleAnswerMode),
+        ...(isSpeechAvailable() ? [
+            createPaletteAction(t('speech.readLabel'), toggleReadRiddle),
+            createPaletteAction(t(speechSettings.enabled ? 'speech.buttonOn' : 'speech.buttonOff'), toggleReadAloud),
+            createPaletteAction(t('menu.voice'), showSpeechModal)
+        ] : []),
+        createPaletteAction(t('menu.stats'), showStatsModal),
+        createPaletteAction(t('menu.export'), exportProgress),
+        createPaletteAction(t('menu.import'), importProgress),
+        createPaletteAction(t('menu.request'), showRequestRiddleMenu),
+        createPaletteAction(t(isAuthenticated() ? 'auth.logout' : 'auth.login'), handleAuthAction),
+        createPaletteAction(t('menu.refresh'), refreshApp),
+        createPaletteAction(t('profile.buttonLabel'), showProfileModal),
+        createPaletteAction(t('app.helpLabel'), showHelpModal),
+        createPaletteAction(t('menu.shortcuts'), showShortcutsModal, 'shortcuts')
+    ];
+
+    // Riddles also match their English title and their tags
+    const locked = getLockedIndexes();
+    const riddleCommands = riddles.map((meta, index) => ({
+        label: getRiddleTitle(meta),
+        keywords: [meta.title, ...meta.tags],
+        detail: t(locked.includes(index) ? 'palette.locked' : 'palette.riddle'),
+        run: () => loadRiddle(index)
+    }));
+    return [...actions, ...riddleCommands];
+}
+
+// Open the command palette with an empty query
+function showPalette() {
+    const modal = document.getElementById('paletteModal');
+    if (!modal) return;
+    closeMoreMenu();
+    paletteCommands = getPaletteCommands();
+    document.getElementById('paletteInput').value = '';
+    renderPaletteResults();
+    openDialog(modal, { close: closePalette });
+}
+
+function closePalette() {
+    const modal = document.getElementById('paletteModal');
+    if (modal) {
+        closeDialog(modal);
+    }
+}
+
+function togglePalette() {
+    const modal = document.getElementById('paletteModal');
+    if (isDialogOpen(modal)) {
+        closePalette();
+    } else {
+        showPalette();
+    }
+}
+
+// List the commands matching the palette query, highlighting the best match
+function renderPaletteResults() {
+    const list = document.getElementById('paletteList');
+    paletteResults = filterCommands(paletteCommands, document.getElementById('paletteInput').value);
+    list.innerHTML = '';
+    paletteResults.forEach((command, index) => {
+        const option = document.createElement('li');
+        option.className = 'palette-option';
+        option.id = `paletteOption${index}`;
+        option.setAttribute('role', 'option');
+        const label = document.createElement('span');
+        label.textContent = command.label;
+        const detail = document.createElement('span');
+        detail.className = 'palette-detail';
+        detail.textContent = command.detail;
+        option.append(label, detail);
+        option.addEventListener('mousemove', () => {
+            if (index !== paletteIndex) {
+                highlightPaletteOption(index);
             }
-            hintContent.appendChild(p);
         });
+        option.addEventListener('click', () => runPaletteCommand(index));
+        list.appendChild(option);
+    });
+    document.getElementById('paletteEmpty').hidden = paletteResults.length > 0;
+    highlightPaletteOption(0);
+}
+
+function highlightPaletteOption(index) {
+    paletteIndex = index;
+    const input = document.getElementById('paletteInput');
+    const options = document.querySelectorAll('#paletteList .palette-option');
+    options.forEach((option, optionIndex) => {
+        option.classList.toggle('selected', optionIndex === index);
+        option.setAttribute('aria-selected', String(optionIndex === index));
+    });
+    if (options[index]) {
+        input.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView({ block: 'nearest' });
     } else {
-        // Fallback hints if riddle doesn't have any
-        hintContent.innerHTML = '<p>No hints available for this riddle yet.</p>';
+        input.removeAttribute('aria-activedescendant');
     }
-    
-    modal.classList.add('active');
 }
 
-function closeHintModal() {
-    const modal = document.getElementById('hintModal');
-    modal.classList.remove('active');
+// Arrow keys move through the results and Enter runs the highlighted one
+function handlePaletteKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (paletteResults.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        highlightPaletteOption((paletteIndex + step + paletteResults.length) % paletteResults.length);
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteCommand(paletteIndex);
+    }
+}
+
+function runPaletteCommand(index) {
+    const command = paletteResults[index];
+    if (!command) return;
+    closePalette();
+    command.run();
 }
 
 // Allow Enter key to submit
@@ -479,38 +2823,88 @@ document.getElementById('guessInput').addEventListener('keypress', function(e) {
     }
 });
 
-// Close modal on background click
-document.getElementById('modal').addEventListener('click', function(e) {
-    if (e.target === this) {
-        closeModal();
+document.addEventListener('DOMContentLoaded', () => {
+    // Modals close on Escape or a backdrop click and keep focus inside while open
+    initDialogs();
+
+    // Riddle selector search, filters and sort
+    const riddleSearch = document.getElementById('riddleSearch');
+    if (riddleSearch) {
+        riddleSearch.addEventListener('input', updateSelectorFilters);
     }
-});
+    ['riddleTagFilter', 'riddleDifficultyFilter', 'riddleStatusFilter', 'riddleSort'].forEach((id) => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', updateSelectorFilters);
+        }
+    });
 
-// Close help modal on background click
-document.getElementById('helpModal').addEventListener('click', function(e) {
-    if (e.target === this) {
-        closeHelpModal();
+    // Read-aloud controls only show where the browser can speak, and voice answer help where it can listen
+    if (!isSpeechAvailable()) {
+        document.querySelectorAll('.speech-control').forEach((control) => {
+            control.hidden = true;
+        });
     }
-});
+    if (!isVoiceInputAvailable()) {
+        document.querySelectorAll('.voice-control').forEach((control) => {
+            control.hidden = true;
+        });
+    }
+    // Voices usually load after the page, so refresh the voice list if the settings are open
+    const speechModal = document.getElementById('speechModal');
+    onVoicesChanged(() => {
+        if (isDialogOpen(speechModal)) {
+            renderSpeechSettings();
+        }
+    });
+    ['speechVoice', 'speechRate', 'speechPitch'].forEach((id) => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.addEventListener('input', updateSpeechSettings);
+        }
+    });
 
-// Close hint modal on background click
-document.getElementById('hintModal').addEventListener('click', function(e) {
-    if (e.target === this) {
-        closeHintModal();
+    // Keyboard shortcuts, and rebinding them from the shortcut help
+    document.addEventListener('keydown', handleShortcutKeydown);
+    document.addEventListener('keydown', captureShortcutKeydown, true);
+
+    // Command palette: filter as the player types
+    const paletteInput = document.getElementById('paletteInput');
+    if (paletteInput) {
+        paletteInput.addEventListener('input', renderPaletteResults);
+        paletteInput.addEventListener('keydown', handlePaletteKeydown);
     }
-});
 
-// Close riddle selector modal on background click
-document.addEventListener('DOMContentLoaded', () => {
-    const riddleSelectorModal = document.getElementById('riddleSelectorModal');
-    if (riddleSelectorModal) {
-        riddleSelectorModal.addEventListener('click', function(e) {
-            if (e.target === this) {
-                closeRiddleSelector();
+    // Language switcher
+    const languageSelect = document.getElementById('languageSelect');
+    if (languageSelect) {
+        languageSelect.addEventListener('change', () => changeLanguage(languageSelect.value));
+    }
+
+    // Multiple-choice options are navigated with the arrow keys
+    const choiceList = document.getElementById('choiceList');
+    if (choiceList) {
+        choiceList.addEventListener('keydown', handleChoiceKeydown);
+    }
+
+    // Progress import: validate the chosen file
+    const importFileInput = document.getElementById('importFileInput');
+    if (importFileInput) {
+        importFileInput.addEventListener('change', function() {
+            handleImportFile(this.files[0]);
+        });
+    }
+
+    // Profile manager: create on Enter
+    const newProfileName = document.getElementById('newProfileName');
+    if (newProfileName) {
+        newProfileName.addEventListener('keypress', function(e) {
+            if (e.key === 'Enter') {
+                createNewProfile();
             }
         });
     }
-    
+
     // Close more menu when clicking outside - set up once on DOM load
     const dropdown = document.querySelector('.bubble-dropdown');
     const menu = document.getElementById('moreMenu');
@@ -531,27 +2925,16 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
-// Close modals with ESC key for accessibility
-document.addEventListener('keydown', function(e) {
-    if (e.key === 'Escape') {
-        closeModal();
-        closeHelpModal();
-        closeHintModal();
-        closeRiddleSelector();
-        closeRequestRiddleModal();
-    }
-});
-
 // Authentication-related functions
 function updateAuthButton() {
     const authButton = document.getElementById('authButton');
     if (authButton) {
         if (isAuthenticated()) {
-            authButton.textContent = 'Logout';
-            authButton.setAttribute('aria-label', 'Logout from GitHub');
+            authButton.textContent = t('auth.logout');
+            authButton.setAttribute('aria-label', t('auth.logoutLabel'));
         } else {
-            authButton.textContent = 'Login';
-            authButton.setAttribute('aria-label', 'Login with GitHub');
+            authButton.textContent = t('auth.login');
+            authButton.setAttribute('aria-label', t('auth.loginLabel'));
         }
     }
 }
@@ -559,8 +2942,9 @@ function updateAuthButton() {
 function handleAuthAction() {
     if (isAuthenticated()) {
         // User is logged in, show confirmation dialog
-        if (confirm('Are you sure you want to logout? You will need to login again to request AI-curated riddles.')) {
+        if (confirm(t('auth.logoutConfirm'))) {
             clearGitHubToken();
+            clearSyncState();
             redirectToLogin();
         }
     } else {
@@ -0,0 +1,138 @@
+// Internationalization
+// Looks up UI strings in the active locale's message bundle (./locales/<code>.js), falling back to
+// English for anything it does not translate. Plurals follow Intl.PluralRules, so a bundle can give
+// a message as { one, few, many, other, ... } and the {count} parameter picks the form.
+// The language is saved per profile, like the answer mode, and defaults to the browser's language.
+
+import { messages as englishMessages } from './locales/en.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// Locales with a message bundle, each named in its own language for the language switcher
+export const LOCALES = {
+    en: 'English',
+    es: 'Español'
+};
+
+const LOCALE_KEY = 'locale';
+
+const bundles = new Map([[DEFAULT_LOCALE, englishMessages]]);
+let activeLocale = DEFAULT_LOCALE;
+
+// localStorage key for a profile's language (the default profile keeps the original key)
+function localeKey(profileId) {
+    return !profileId || profileId === 'default' ? LOCALE_KEY : `${LOCALE_KEY}:${profileId}`;
+}
+
+// The supported locale closest to a language tag ('es-MX' -> 'es'), or null
+export function resolveLocale(tag) {
+    if (typeof tag !== 'string' || !tag) return null;
+    if (LOCALES[tag]) return tag;
+    const language = tag.split('-')[0].toLowerCase();
+    return LOCALES[language] ? language : null;
+}
+
+// Load a profile's language: the saved choice, else the browser's preferred language, else English
+export function loadLocale(profileId) {
+    const saved = resolveLocale(localStorage.getItem(localeKey(profileId)));
+    if (saved) return saved;
+    const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+    return preferred.map(resolveLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale, profileId) {
+    localStorage.setItem(localeKey(profileId), locale);
+}
+
+// Delete a profile's language
+export function clearLocale(profileId) {
+    localStorage.removeItem(localeKey(profileId));
+}
+
+// Import a locale's message bundle (cached)
+async function loadBundle(locale) {
+    if (!bundles.has(locale)) {
+        const module = await import(new URL(`./locales/${locale}.js`, import.meta.url));
+        bundles.set(locale, module.messages);
+    }
+    return bundles.get(locale);
+}
+
+// Switch the UI language, loading its bundle first; unknown locales switch to English
+// Returns the locale now active
+export async function setLocale(locale) {
+    const next = resolveLocale(locale) || DEFAULT_LOCALE;
+    try {
+        await loadBundle(next);
+        activeLocale = next;
+    } catch (error) {
+        console.error(`Failed to load messages for ${next}:`, error);
+        activeLocale = DEFAULT_LOCALE;
+    }
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = activeLocale;
+    }
+    return activeLocale;
+}
+
+export function getLocale() {
+    return activeLocale;
+}
+
+// A message and the locale it is written in: the active locale's, else the English one
+function findMessage(key) {
+    const messages = bundles.get(activeLocale);
+    if (messages && key in messages) {
+        return { message: messages[key], locale: activeLocale };
+    }
+    if (key in englishMessages) {
+        return { message: englishMessages[key], locale: DEFAULT_LOCALE };
+    }
+    return { message: key, locale: DEFAULT_LOCALE };
+}
+
+// Pick the plural form of a message for params.count
+function pluralForm(message, locale, count, type) {
+    if (typeof message === 'string') return message;
+    const category = new Intl.PluralRules(locale, { type }).select(count);
+    return message[category] ?? message.other;
+}
+
+// Fill {name} placeholders; unknown placeholders are left as they are
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+function translate(key, params, type) {
+    const { message, locale } = findMessage(key);
+    return interpolate(pluralForm(message, locale, Number(params.count) || 0, type), params);
+}
+
+// Translate a message key, e.g. t('count.attempts', { count: 3 }) -> '3 attempts'
+// Unknown keys are returned as they are so a missing message is easy to spot
+export function t(key, params = {}) {
+    return translate(key, params, 'cardinal');
+}
+
+// Format a finishing place as an ordinal number: 1st, 2nd, 3rd...
+export function formatOrdinal(count) {
+    return translate('ordinal', { count }, 'ordinal');
+}
+
+// Join items as a list in the active language ("a, b and c", "a, b y c")
+export function formatList(items) {
+    return new Intl.ListFormat(activeLocale, { type: 'conjunction' }).format(items);
+}
+
+// Translate the static page: data-i18n sets an element's text, and data-i18n-aria-label,
+// data-i18n-placeholder and data-i18n-title set those attributes
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ['aria-label', 'placeholder', 'title'].forEach((attribute) => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
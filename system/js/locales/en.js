@@ -0,0 +1,352 @@
+// English Messages
+// The source bundle: every UI string lives here, and any message missing from another locale
+// falls back to this one. Placeholders look like {name}; a message given as an object is picked
+// by the plural category of its {count} (see i18n.js).
+
+export const messages = {
+    // Page
+    'app.title': 'The Gatekeeper\'s Riddle',
+    'app.subtitle': 'Try your luck and wit to the:',
+    'app.loadFailed': 'Unable to load riddles. Please check your connection and refresh.',
+    'app.helpLabel': 'How to Play',
+    'app.hintsLabel': 'Get Hints',
+    'app.repository': 'GitHub Repository',
+    'common.close': 'Close',
+    'common.cancel': 'Cancel',
+    'language.label': 'Language',
+    'language.changed': '🌐 Language: {language}',
+    'list.quoted': '"{text}"',
+
+    // Riddle and answers
+    'riddle.loading': 'Loading riddle...',
+    'riddle.notFoundTitle': 'Riddle Not Found',
+    'riddle.notFound': 'There is no riddle called "{id}". It may have been renamed or removed. Pick another one from the riddle selector.',
+    'riddle.lockedTitle': '🔒 {title}',
+    'riddle.locked': 'This riddle unlocks once you have solved {riddles}. Pick another one from the riddle selector.',
+    'riddle.unlocked': '🔓 Unlocked {riddles}!',
+    'attempts.label': 'Attempts: {count}',
+    'attempts.player': '{player}\'s attempts: {count}',
+    'answer.placeholder': 'Enter your answer...',
+    'answer.empty': 'Please enter an answer!',
+    'answer.close': 'You\'re getting warm... but not quite there.',
+    'answer.wrong': 'Not quite. Think deeper about the riddle...',
+    'answer.unavailable': '🔒 Unable to reveal the answer',
+    'parts.status': 'Part {part} of {count}',
+    'parts.allSolved': 'All {count} parts solved',
+    'parts.locked': '🔒 Part {part}',
+    'parts.solved': '✅ Part {part} of {count} solved!',
+    'parts.solvedNext': '✅ Part {part} of {count} solved! On to the next question...',
+    'count.attempts': { one: '{count} attempt', other: '{count} attempts' },
+    'count.hints': { one: '{count} hint', other: '{count} hints' },
+    'count.noHints': 'no hints',
+    'count.solves': { one: '{count} solve', other: '{count} solves' },
+    'ordinal': { one: '{count}st', two: '{count}nd', few: '{count}rd', other: '{count}th' },
+
+    // Navigation and More menu
+    'nav.previous': 'Previous Riddle',
+    'nav.submit': 'Submit Guess',
+    'nav.select': 'Select Riddle',
+    'nav.more': 'More Options',
+    'nav.next': 'Next Riddle',
+    'menu.giveUp': 'Give Up',
+    'menu.giveUpLabel': 'Give up and reveal the answer',
+    'menu.daily': 'Riddle of the Day',
+    'menu.dailyLabel': 'Play the riddle of the day',
+    'menu.party': 'Party Mode',
+    'menu.partyLabel': 'Play hot-seat party mode with friends',
+    'menu.speedrun': 'Speedrun',
+    'menu.speedrunLabel': 'Race through every riddle against the clock',
+    'menu.answerModeLabel': 'Answer by picking from multiple choices',
+    'menu.readAloudLabel': 'Read riddles, hints and feedback aloud',
+    'menu.voice': 'Voice Settings',
+    'menu.voiceLabel': 'Choose the voice, rate and pitch for reading aloud',
+    'menu.stats': 'Statistics',
+    'menu.statsLabel': 'View your statistics',
+    'menu.export': 'Export Progress',
+    'menu.exportLabel': 'Export your progress to a file',
+    'menu.import': 'Import Progress',
+    'menu.importLabel': 'Import progress from a file',
+    'menu.request': 'Request Riddle',
+    'menu.requestLabel': 'Request a new riddle',
+    'menu.authLabel': 'Login or Logout',
+    'menu.refresh': 'Refresh App',
+    'menu.shortcuts': 'Keyboard Shortcuts',
+    'menu.shortcutsLabel': 'Show and change the keyboard shortcuts',
+    'menu.refreshLabel': 'Clear cache and refresh the application',
+
+    // Multiple choice
+    'choices.groupLabel': 'Answer choices',
+    'choices.unavailable': 'Multiple choice is not available for this riddle. Type your answer below.',
+    'choices.on': '☑️ Multiple choice is on',
+    'choices.off': '⌨️ Typed answers are back on',
+    'choices.buttonOn': 'Multiple Choice: On',
+    'choices.buttonOff': 'Multiple Choice: Off',
+
+    // Read aloud
+    'speech.readLabel': 'Read the riddle aloud',
+    'speech.stopLabel': 'Stop reading aloud',
+    'speech.buttonOn': 'Read Aloud: On',
+    'speech.buttonOff': 'Read Aloud: Off',
+    'speech.on': '🔊 Read aloud is on',
+    'speech.off': '🔇 Read aloud is off',
+    'speech.unavailable': '🔇 Reading aloud is not supported in this browser',
+    'speech.title': '🔊 Voice Settings',
+    'speech.voice': 'Voice',
+    'speech.defaultVoice': 'Default voice',
+    'speech.rate': 'Rate',
+    'speech.pitch': 'Pitch',
+    'speech.test': 'Test Voice',
+    'speech.sample': 'Who wears the mask that mirrors back? This is how riddles will sound.',
+
+    // Voice answers
+    'voice.start': 'Speak your answer',
+    'voice.stop': 'Stop listening',
+    'voice.listening': '🎤 Listening...',
+    'voice.noSpeech': '🎤 No speech was heard. Try again.',
+    'voice.denied': '🎤 Microphone access is blocked. Allow it in your browser settings to speak answers.',
+    'voice.failed': '🎤 Voice input stopped. Type your answer instead.',
+
+    // Keyboard shortcuts and command palette
+    'shortcuts.title': '⌨️ Keyboard Shortcuts',
+    'shortcuts.note': 'Single-key shortcuts are ignored while you type an answer.',
+    'shortcuts.reset': 'Reset to Defaults',
+    'shortcuts.change': 'Change',
+    'shortcuts.changeLabel': 'Change the shortcut for {action}',
+    'shortcuts.pressKey': 'Press a key (Esc to cancel)',
+    'shortcuts.none': 'None',
+    'shortcuts.giveUpConfirm': 'Give up and reveal the answer?',
+    'shortcuts.action.previous': 'Previous riddle',
+    'shortcuts.action.next': 'Next riddle',
+    'shortcuts.action.hints': 'Hints',
+    'shortcuts.action.selector': 'Select a riddle',
+    'shortcuts.action.giveUp': 'Give up',
+    'shortcuts.action.shortcuts': 'Keyboard shortcuts',
+    'shortcuts.action.palette': 'Command palette',
+    'palette.placeholder': 'Jump to a riddle or run a command...',
+    'palette.label': 'Search riddles and commands',
+    'palette.empty': 'Nothing matches your search.',
+    'palette.command': 'Command',
+    'palette.riddle': 'Riddle',
+    'palette.locked': '🔒 Locked',
+
+    // Riddle of the day
+    'daily.title': 'Riddle of the Day',
+    'daily.banner': '☀️ Riddle of the Day · {date}',
+    'daily.streak': '🔥 {count}-day streak',
+    'daily.shareTitle': 'The Gatekeeper\'s Riddle · Daily {date}',
+    'daily.shareNoHints': 'No hints',
+    'daily.share': 'Share Result',
+    'daily.copied': '✅ Copied!',
+    'daily.copyPrompt': 'Copy your result:',
+
+    // Riddle selector
+    'selector.title': '📚 Select a Riddle',
+    'selector.search': 'Search titles, tags and authors...',
+    'selector.searchLabel': 'Search riddles',
+    'selector.tagLabel': 'Filter by tag',
+    'selector.difficultyLabel': 'Filter by difficulty',
+    'selector.statusLabel': 'Filter by solved status',
+    'selector.sortLabel': 'Sort riddles',
+    'selector.allTags': 'All tags',
+    'selector.allDifficulties': 'All difficulties',
+    'selector.statusAll': 'Solved & unsolved',
+    'selector.statusSolved': 'Solved',
+    'selector.statusUnsolved': 'Unsolved',
+    'selector.sort.default': 'Registry order',
+    'selector.sort.title': 'Title (A–Z)',
+    'selector.sort.difficulty': 'Difficulty (easiest first)',
+    'selector.sort.newest': 'Newest first',
+    'selector.empty': 'No riddles match your search and filters.',
+    'selector.unlocksAfter': 'Unlocks after solving:',
+    'selector.multipleChoice': 'multiple choice',
+    'difficulty.easy': 'Easy',
+    'difficulty.medium': 'Medium',
+    'difficulty.hard': 'Hard',
+    'difficulty.expert': 'Expert',
+
+    // Solve modal and scoring
+    'modal.title': 'The Answer',
+    'modal.wonTitle': '🎯 You Solved It!',
+    'modal.wonMessage': 'Incredible! You got it in {attempts} with {hints}. The answer is:',
+    'modal.revealTitle': '🔓 The Answer Revealed',
+    'modal.revealMessage': 'After {attempts} and {hints}, here\'s what you were seeking:',
+    'score.solved': 'Solved',
+    'score.gaveUp': 'Gave up',
+    'score.attempts': 'Attempts ({count})',
+    'score.hints': 'Hints ({count})',
+    'score.time': 'Time ({time})',
+    'score.minimum': 'Minimum for a solve',
+    'score.total': 'Score',
+    'score.summary': 'Best: {best} · Total score: {total}',
+
+    // Hints
+    'hints.title': '💡 Hints',
+    'hints.reveal': 'Reveal Next Hint',
+    'hints.read': '🔊 Read Hints',
+    'hints.none': 'No hints available for this riddle yet.',
+    'hints.part': 'Part {part}: ',
+    'hints.allRevealed': { one: 'All {count} hint revealed.', other: 'All {count} hints revealed.' },
+    'hints.revealed': { one: '{revealed} of {count} hint revealed.', other: '{revealed} of {count} hints revealed.' },
+    'hints.nextUnlocks': { one: 'The next hint unlocks after {count} more wrong attempt.', other: 'The next hint unlocks after {count} more wrong attempts.' },
+
+    // Help
+    'help.title': '📖 How to Play',
+    'help.step1': '1. Read the riddle carefully',
+    'help.step2': '2. Enter your answer in the input field',
+    'help.step3': '3. Click "Submit Guess" or press Enter',
+    'help.step4': '4. Keep trying or click "Give Up" to reveal the answer',
+    'help.tipLabel': 'Tip:',
+    'help.tip': 'Click the hints button to better understand this Riddle.',
+    'help.partsLabel': 'Multi-part riddles:',
+    'help.parts': 'Some riddles ask several questions. Answer them in order; each part has its own hints.',
+    'help.choiceLabel': 'Multiple choice:',
+    'help.choice': 'Turn it on from the More menu to pick from a list of answers instead of typing. Use the arrow keys to move between choices, or press 1-4.',
+    'help.speechLabel': 'Read aloud:',
+    'help.speech': 'Press the speaker button to hear the riddle, or turn on Read Aloud in the More menu to also hear hints and feedback. Pick a voice under Voice Settings.',
+    'help.keysLabel': 'Keyboard:',
+    'help.keys': 'Use ← → or J/K to change riddles, H for hints, S to pick a riddle and G to give up. Press ? to see and change every shortcut, or Ctrl+K to jump to any riddle or action.',
+    'help.voiceLabel': 'Voice answers:',
+    'help.voice': 'Press the microphone in the answer field and say your guess. It is submitted as soon as you stop speaking.',
+
+    // Statistics
+    'stats.title': '📊 Statistics',
+    'stats.solved': 'Solved',
+    'stats.unsolved': 'Unsolved',
+    'stats.averageAttempts': 'Avg. attempts',
+    'stats.giveUpRate': 'Give-up rate',
+    'stats.hintsUsed': 'Hints used',
+    'stats.fastestSolve': 'Fastest solve',
+    'stats.currentStreak': 'Current streak',
+    'stats.status.solved': '✓ Solved',
+    'stats.status.gave-up': '🔓 Gave up',
+    'stats.status.in-progress': '○ In progress',
+    'stats.status.unplayed': '– Not started',
+    'stats.column.riddle': 'Riddle',
+    'stats.column.status': 'Status',
+    'stats.column.attempts': 'Attempts',
+    'stats.column.hints': 'Hints',
+    'stats.column.time': 'Time',
+    'stats.column.best': 'Best',
+    'stats.chartLabel': 'Attempts per riddle',
+    'stats.chartBar': '{title}: {attempts}',
+
+    // Progress export and import
+    'progress.readOnly': '⚠️ Your progress was saved by a newer version of the game. Refresh to update it; until then nothing you do here is saved.',
+    'export.done': '💾 Progress exported',
+    'export.failed': '⚠️ Could not export progress ({error})',
+    'import.title': '📥 Import Progress',
+    'import.merge': 'Merge',
+    'import.mergeDescription': 'Keep the best result for each riddle',
+    'import.replace': 'Replace',
+    'import.replaceDescription': 'Overwrite all progress on this device',
+    'import.exportedAt': ' exported {date}',
+    'import.summary': { one: '{file}{exported}: {count} riddle played, {solved} solved.', other: '{file}{exported}: {count} riddles played, {solved} solved.' },
+    'import.merged': '📥 Progress merged from file',
+    'import.replaced': '📥 Progress replaced from file',
+    'import.error.json': 'The file is not valid JSON.',
+    'import.error.format': 'The file is not a Gatekeeper\'s Riddle progress export.',
+    'import.error.version': 'The file was exported by a newer version of the game (format v{version}).',
+    'import.error.checksumMissing': 'The file is missing its progress data or checksum.',
+    'import.error.checksum': 'The file checksum does not match. It may have been edited or corrupted.',
+    'import.error.data': 'The progress data in the file is malformed.',
+    'import.error.entry': 'The progress entry for "{id}" is malformed.',
+    'import.error.daily': 'The riddle of the day result for "{date}" is malformed.',
+
+    // Profiles
+    'profile.title': '👤 Player Profiles',
+    'profile.defaultName': 'Player 1',
+    'profile.buttonLabel': 'Manage player profiles',
+    'profile.newPlaceholder': 'New profile name...',
+    'profile.newLabel': 'New profile name',
+    'profile.add': 'Add',
+    'profile.play': 'Play',
+    'profile.rename': 'Rename',
+    'profile.delete': 'Delete',
+    'profile.playLabel': 'Play profile {name}',
+    'profile.renameLabel': 'Rename profile {name}',
+    'profile.deleteLabel': 'Delete profile {name}',
+    'profile.playingAs': '👤 Playing as {name}',
+    'profile.renamePrompt': 'New profile name:',
+    'profile.deleteConfirm': 'Delete profile "{name}" and all of its progress? This cannot be undone.',
+    'profile.error.empty': 'Profile name cannot be empty.',
+    'profile.error.tooLong': 'Profile name must be {max} characters or fewer.',
+    'profile.error.exists': 'A profile named "{name}" already exists.',
+    'profile.error.missing': 'That profile no longer exists.',
+    'profile.error.default': 'The default profile cannot be deleted.',
+
+    // Party mode
+    'party.title': '🎉 Party Mode',
+    'party.intro': 'Take turns guessing on this device. First to solve with the fewest attempts scores the most.',
+    'party.rounds': 'Rounds',
+    'party.start': 'Start Party',
+    'party.end': 'End Party',
+    'party.player': 'Player {number}',
+    'party.playerOptional': 'Player {number} (optional)',
+    'party.playerLabel': 'Player {number} name',
+    'party.speedrunActive': 'Finish or end your speedrun before starting a party.',
+    'party.started': '🎉 Party started! {player} goes first.',
+    'party.solved': '✅ {player} solved it! Keep the answer to yourself...',
+    'party.partSolved': '✅ {player} solved part {part} of {count}! Keep it to yourself...',
+    'party.guess': '{player}: ',
+    'party.passes': '🏳️ {player} passes.',
+    'party.passed': 'Passed',
+    'party.finalTitle': '🏆 Final Leaderboard',
+    'party.tie': 'It\'s a tie between {players}!',
+    'party.wins': { one: '{player} wins with {count} point!', other: '{player} wins with {count} points!' },
+    'party.roundTitle': '🎉 Round {round} of {count}',
+    'party.solvedFirst': '{player} solved it first! The answer is:',
+    'party.nobodySolved': 'Nobody solved it. The answer is:',
+    'party.turn': '🎉 Round {round} of {count} · {player}\'s turn',
+    'party.roundComplete': '🎉 Round {round} of {count} complete',
+    'party.endConfirm': 'End the party now? The current round will not be scored.',
+    'party.error.players': 'Party mode needs {min} to {max} players.',
+    'party.error.nameLength': 'Player names must be {max} characters or fewer.',
+    'party.error.duplicate': 'Each player needs a different name.',
+    'party.error.rounds': 'Choose at least one round.',
+
+    // Speedrun
+    'speedrun.skip': 'Skip (+2:00)',
+    'speedrun.end': 'End Run',
+    'speedrun.partyActive': '🎉 End the party before starting a speedrun',
+    'speedrun.confirm': { one: 'Start a speedrun through {count} riddle?\n\nWrong attempts add {wrong}, hints add {hint} and skipping a riddle adds {skip}.', other: 'Start a speedrun through all {count} riddles?\n\nWrong attempts add {wrong}, hints add {hint} and skipping a riddle adds {skip}.' },
+    'speedrun.abandoned': '⏱️ Speedrun abandoned. Finished splits were saved to your run history.',
+    'speedrun.skipped': '⏭️ Skipped (+{penalty})',
+    'speedrun.quitConfirm': 'End this speedrun? Finished splits are kept in your run history.',
+    'speedrun.splitTitle': '⏱️ Split {split} of {count}',
+    'speedrun.splitMessage': 'Solved in {attempts} with {hints}. The answer is:',
+    'speedrun.time': 'Time',
+    'speedrun.penalties': 'Penalties',
+    'speedrun.personalBest': 'Personal best',
+    'speedrun.split': 'Split',
+    'speedrun.completeTitle': '🏁 Speedrun Complete',
+    'speedrun.endedTitle': '⏱️ Speedrun Ended',
+    'speedrun.newBest': 'New personal best: {time}!',
+    'speedrun.finished': 'Finished in {time}. Personal best: {best}.',
+    'speedrun.partial': '{splits} of {count} splits in {time}.',
+    'speedrun.splitRow': '{number}. {title}',
+    'speedrun.skippedRow': '{number}. {title} (skipped)',
+    'speedrun.complete': 'Complete',
+    'speedrun.recentRuns': 'Recent runs',
+    'speedrun.status': 'Riddle {split} of {count}',
+    'speedrun.personalBestShort': 'PB {time}',
+
+    // Riddle requests and login
+    'request.title': '🎯 Request a Riddle',
+    'request.email': 'Email Request',
+    'request.emailDescription': 'Send your riddle idea via email',
+    'request.emailSubject': 'Riddle Request - [Your Suggestion]',
+    'request.emailBody': 'Hello,\n\nI would like to suggest a new riddle for The Gatekeeper\'s Riddle game:\n\n[Please describe your riddle idea here]\n\nRiddle Theme/Topic:\n\n\nSuggested Answer:\n\n\nThank you!',
+    'request.ai': 'AI Curated',
+    'request.aiDescription': 'Request AI to find a challenging riddle',
+    'request.loginRequired': '🔐 Please login to request AI-curated riddles',
+    'request.creating': '🤖 Creating GitHub pull request for AI riddle request...',
+    'request.submitted': '✅ AI riddle request submitted! Issue #{id} created. An agent will open a PR for this request — please refresh your feed in ~10 minutes.',
+    'request.failed': '⚠️ Could not create issue automatically{details}. Please check your GitHub token permissions and try again.',
+    'request.failedFallback': '⚠️ Could not create issue automatically{details}. Opening GitHub issue form...',
+    'request.unknownIssue': 'unknown',
+    'auth.login': 'Login',
+    'auth.loginLabel': 'Login with GitHub',
+    'auth.logout': 'Logout',
+    'auth.logoutLabel': 'Logout from GitHub',
+    'auth.logoutConfirm': 'Are you sure you want to logout? You will need to login again to request AI-curated riddles.'
+};
@@ -0,0 +1,350 @@
+// Spanish Messages
+// Same keys as en.js; anything missing here is shown in English
+
+export const messages = {
+    // Page
+    'app.title': 'El Acertijo del Guardián',
+    'app.subtitle': 'Pon a prueba tu suerte e ingenio con:',
+    'app.loadFailed': 'No se pudieron cargar los acertijos. Comprueba tu conexión y recarga la página.',
+    'app.helpLabel': 'Cómo jugar',
+    'app.hintsLabel': 'Ver pistas',
+    'app.repository': 'Repositorio en GitHub',
+    'common.close': 'Cerrar',
+    'common.cancel': 'Cancelar',
+    'language.label': 'Idioma',
+    'language.changed': '🌐 Idioma: {language}',
+    'list.quoted': '«{text}»',
+
+    // Riddle and answers
+    'riddle.loading': 'Cargando acertijo...',
+    'riddle.notFoundTitle': 'Acertijo no encontrado',
+    'riddle.notFound': 'No hay ningún acertijo llamado «{id}». Puede que se haya renombrado o eliminado. Elige otro en el selector de acertijos.',
+    'riddle.lockedTitle': '🔒 {title}',
+    'riddle.locked': 'Este acertijo se desbloquea cuando hayas resuelto {riddles}. Elige otro en el selector de acertijos.',
+    'riddle.unlocked': '🔓 ¡Desbloqueado: {riddles}!',
+    'attempts.label': 'Intentos: {count}',
+    'attempts.player': 'Intentos de {player}: {count}',
+    'answer.placeholder': 'Escribe tu respuesta...',
+    'answer.empty': '¡Escribe una respuesta!',
+    'answer.close': 'Te vas acercando... pero todavía no.',
+    'answer.wrong': 'No exactamente. Piensa más a fondo en el acertijo...',
+    'answer.unavailable': '🔒 No se pudo revelar la respuesta',
+    'parts.status': 'Parte {part} de {count}',
+    'parts.allSolved': 'Las {count} partes resueltas',
+    'parts.locked': '🔒 Parte {part}',
+    'parts.solved': '✅ ¡Parte {part} de {count} resuelta!',
+    'parts.solvedNext': '✅ ¡Parte {part} de {count} resuelta! Vamos con la siguiente pregunta...',
+    'count.attempts': { one: '{count} intento', other: '{count} intentos' },
+    'count.hints': { one: '{count} pista', other: '{count} pistas' },
+    'count.noHints': 'ninguna pista',
+    'count.solves': { one: '{count} acierto', other: '{count} aciertos' },
+    'ordinal': { other: '{count}.º' },
+
+    // Navigation and More menu
+    'nav.previous': 'Acertijo anterior',
+    'nav.submit': 'Enviar respuesta',
+    'nav.select': 'Elegir acertijo',
+    'nav.more': 'Más opciones',
+    'nav.next': 'Acertijo siguiente',
+    'menu.giveUp': 'Rendirse',
+    'menu.giveUpLabel': 'Rendirse y revelar la respuesta',
+    'menu.daily': 'Acertijo del día',
+    'menu.dailyLabel': 'Jugar el acertijo del día',
+    'menu.party': 'Modo fiesta',
+    'menu.partyLabel': 'Jugar por turnos con amigos en este dispositivo',
+    'menu.speedrun': 'Contrarreloj',
+    'menu.speedrunLabel': 'Resolver todos los acertijos contra el reloj',
+    'menu.answerModeLabel': 'Responder eligiendo entre varias opciones',
+    'menu.readAloudLabel': 'Leer en voz alta los acertijos, las pistas y los comentarios',
+    'menu.voice': 'Ajustes de voz',
+    'menu.voiceLabel': 'Elegir la voz, la velocidad y el tono de la lectura en voz alta',
+    'menu.stats': 'Estadísticas',
+    'menu.statsLabel': 'Ver tus estadísticas',
+    'menu.export': 'Exportar progreso',
+    'menu.exportLabel': 'Exportar tu progreso a un archivo',
+    'menu.import': 'Importar progreso',
+    'menu.importLabel': 'Importar el progreso desde un archivo',
+    'menu.request': 'Pedir un acertijo',
+    'menu.requestLabel': 'Pedir un acertijo nuevo',
+    'menu.authLabel': 'Iniciar o cerrar sesión',
+    'menu.refresh': 'Actualizar la app',
+    'menu.shortcuts': 'Atajos de Teclado',
+    'menu.shortcutsLabel': 'Ver y cambiar los atajos de teclado',
+    'menu.refreshLabel': 'Vaciar la caché y recargar la aplicación',
+
+    // Multiple choice
+    'choices.groupLabel': 'Opciones de respuesta',
+    'choices.unavailable': 'Este acertijo no tiene opción múltiple. Escribe tu respuesta abajo.',
+    'choices.on': '☑️ Opción múltiple activada',
+    'choices.off': '⌨️ Vuelves a escribir las respuestas',
+    'choices.buttonOn': 'Opción múltiple: sí',
+    'choices.buttonOff': 'Opción múltiple: no',
+
+    // Read aloud
+    'speech.readLabel': 'Leer el acertijo en voz alta',
+    'speech.stopLabel': 'Dejar de leer en voz alta',
+    'speech.buttonOn': 'Leer en voz alta: sí',
+    'speech.buttonOff': 'Leer en voz alta: no',
+    'speech.on': '🔊 Lectura en voz alta activada',
+    'speech.off': '🔇 Lectura en voz alta desactivada',
+    'speech.unavailable': '🔇 Este navegador no puede leer en voz alta',
+    'speech.title': '🔊 Ajustes de voz',
+    'speech.voice': 'Voz',
+    'speech.defaultVoice': 'Voz predeterminada',
+    'speech.rate': 'Velocidad',
+    'speech.pitch': 'Tono',
+    'speech.test': 'Probar voz',
+    'speech.sample': '¿Quién lleva la máscara que devuelve el reflejo? Así sonarán los acertijos.',
+
+    // Voice answers
+    'voice.start': 'Di tu respuesta',
+    'voice.stop': 'Dejar de escuchar',
+    'voice.listening': '🎤 Escuchando...',
+    'voice.noSpeech': '🎤 No se ha oído nada. Inténtalo de nuevo.',
+    'voice.denied': '🎤 El micrófono está bloqueado. Permite el acceso en los ajustes del navegador para decir tus respuestas.',
+    'voice.failed': '🎤 La entrada por voz se ha detenido. Escribe tu respuesta.',
+
+    // Keyboard shortcuts and command palette
+    'shortcuts.title': '⌨️ Atajos de Teclado',
+    'shortcuts.note': 'Los atajos de una sola tecla no funcionan mientras escribes una respuesta.',
+    'shortcuts.reset': 'Restablecer',
+    'shortcuts.change': 'Cambiar',
+    'shortcuts.changeLabel': 'Cambiar el atajo de {action}',
+    'shortcuts.pressKey': 'Pulsa una tecla (Esc para cancelar)',
+    'shortcuts.none': 'Ninguno',
+    'shortcuts.giveUpConfirm': '¿Rendirte y ver la respuesta?',
+    'shortcuts.action.previous': 'Acertijo anterior',
+    'shortcuts.action.next': 'Acertijo siguiente',
+    'shortcuts.action.hints': 'Pistas',
+    'shortcuts.action.selector': 'Elegir un acertijo',
+    'shortcuts.action.giveUp': 'Rendirse',
+    'shortcuts.action.shortcuts': 'Atajos de teclado',
+    'shortcuts.action.palette': 'Paleta de comandos',
+    'palette.placeholder': 'Salta a un acertijo o ejecuta un comando...',
+    'palette.label': 'Buscar acertijos y comandos',
+    'palette.empty': 'Nada coincide con tu búsqueda.',
+    'palette.command': 'Comando',
+    'palette.riddle': 'Acertijo',
+    'palette.locked': '🔒 Bloqueado',
+
+    // Riddle of the day
+    'daily.title': 'Acertijo del día',
+    'daily.banner': '☀️ Acertijo del día · {date}',
+    'daily.streak': { one: '🔥 Racha de {count} día', other: '🔥 Racha de {count} días' },
+    'daily.shareTitle': 'El Acertijo del Guardián · Diario {date}',
+    'daily.shareNoHints': 'Sin pistas',
+    'daily.share': 'Compartir resultado',
+    'daily.copied': '✅ ¡Copiado!',
+    'daily.copyPrompt': 'Copia tu resultado:',
+
+    // Riddle selector
+    'selector.title': '📚 Elige un acertijo',
+    'selector.search': 'Busca por título, etiqueta o autor...',
+    'selector.searchLabel': 'Buscar acertijos',
+    'selector.tagLabel': 'Filtrar por etiqueta',
+    'selector.difficultyLabel': 'Filtrar por dificultad',
+    'selector.statusLabel': 'Filtrar por estado',
+    'selector.sortLabel': 'Ordenar acertijos',
+    'selector.allTags': 'Todas las etiquetas',
+    'selector.allDifficulties': 'Todas las dificultades',
+    'selector.statusAll': 'Resueltos y sin resolver',
+    'selector.statusSolved': 'Resueltos',
+    'selector.statusUnsolved': 'Sin resolver',
+    'selector.sort.default': 'Orden del registro',
+    'selector.sort.title': 'Título (A–Z)',
+    'selector.sort.difficulty': 'Dificultad (más fáciles primero)',
+    'selector.sort.newest': 'Más recientes primero',
+    'selector.empty': 'Ningún acertijo coincide con tu búsqueda y filtros.',
+    'selector.unlocksAfter': 'Se desbloquea al resolver:',
+    'selector.multipleChoice': 'opción múltiple',
+    'difficulty.easy': 'Fácil',
+    'difficulty.medium': 'Media',
+    'difficulty.hard': 'Difícil',
+    'difficulty.expert': 'Experto',
+
+    // Solve modal and scoring
+    'modal.title': 'La respuesta',
+    'modal.wonTitle': '🎯 ¡Lo resolviste!',
+    'modal.wonMessage': '¡Increíble! Lo conseguiste en {attempts} con {hints}. La respuesta es:',
+    'modal.revealTitle': '🔓 La respuesta revelada',
+    'modal.revealMessage': 'Tras {attempts} y {hints}, esto es lo que buscabas:',
+    'score.solved': 'Resuelto',
+    'score.gaveUp': 'Te rendiste',
+    'score.attempts': 'Intentos ({count})',
+    'score.hints': 'Pistas ({count})',
+    'score.time': 'Tiempo ({time})',
+    'score.minimum': 'Mínimo por resolverlo',
+    'score.total': 'Puntuación',
+    'score.summary': 'Mejor: {best} · Puntuación total: {total}',
+
+    // Hints
+    'hints.title': '💡 Pistas',
+    'hints.reveal': 'Revelar otra pista',
+    'hints.read': '🔊 Leer pistas',
+    'hints.none': 'Este acertijo todavía no tiene pistas.',
+    'hints.part': 'Parte {part}: ',
+    'hints.allRevealed': { one: '{count} pista revelada.', other: 'Las {count} pistas reveladas.' },
+    'hints.revealed': { one: '{revealed} de {count} pista revelada.', other: '{revealed} de {count} pistas reveladas.' },
+    'hints.nextUnlocks': { one: 'La siguiente pista se desbloquea tras {count} intento fallido más.', other: 'La siguiente pista se desbloquea tras {count} intentos fallidos más.' },
+
+    // Help
+    'help.title': '📖 Cómo jugar',
+    'help.step1': '1. Lee el acertijo con atención',
+    'help.step2': '2. Escribe tu respuesta en el campo de texto',
+    'help.step3': '3. Pulsa «Enviar respuesta» o la tecla Intro',
+    'help.step4': '4. Sigue intentándolo o pulsa «Rendirse» para ver la respuesta',
+    'help.tipLabel': 'Consejo:',
+    'help.tip': 'Pulsa el botón de pistas para entender mejor el acertijo.',
+    'help.partsLabel': 'Acertijos por partes:',
+    'help.parts': 'Algunos acertijos hacen varias preguntas. Respóndelas en orden; cada parte tiene sus propias pistas.',
+    'help.choiceLabel': 'Opción múltiple:',
+    'help.choice': 'Actívala en el menú Más para elegir la respuesta de una lista en vez de escribirla. Usa las flechas para moverte entre las opciones o pulsa 1-4.',
+    'help.speechLabel': 'Lectura en voz alta:',
+    'help.speech': 'Pulsa el botón del altavoz para oír el acertijo, o activa Leer en voz alta en el menú Más para oír también las pistas y los comentarios. Elige una voz en Ajustes de voz.',
+    'help.keysLabel': 'Teclado:',
+    'help.keys': 'Usa ← → o J/K para cambiar de acertijo, H para las pistas, S para elegir un acertijo y G para rendirte. Pulsa ? para ver y cambiar todos los atajos, o Ctrl+K para saltar a cualquier acertijo o acción.',
+    'help.voiceLabel': 'Respuestas por voz:',
+    'help.voice': 'Pulsa el micrófono del campo de respuesta y di tu respuesta. Se envía en cuanto dejas de hablar.',
+
+    // Statistics
+    'stats.title': '📊 Estadísticas',
+    'stats.solved': 'Resueltos',
+    'stats.unsolved': 'Sin resolver',
+    'stats.averageAttempts': 'Intentos de media',
+    'stats.giveUpRate': 'Tasa de abandono',
+    'stats.hintsUsed': 'Pistas usadas',
+    'stats.fastestSolve': 'Más rápido',
+    'stats.currentStreak': 'Racha actual',
+    'stats.status.solved': '✓ Resuelto',
+    'stats.status.gave-up': '🔓 Abandonado',
+    'stats.status.in-progress': '○ En curso',
+    'stats.status.unplayed': '– Sin empezar',
+    'stats.column.riddle': 'Acertijo',
+    'stats.column.status': 'Estado',
+    'stats.column.attempts': 'Intentos',
+    'stats.column.hints': 'Pistas',
+    'stats.column.time': 'Tiempo',
+    'stats.column.best': 'Mejor',
+    'stats.chartLabel': 'Intentos por acertijo',
+    'stats.chartBar': '{title}: {attempts}',
+
+    // Progress export and import
+    'progress.readOnly': '⚠️ Tu progreso se guardó con una versión más reciente del juego. Recarga para actualizarlo; hasta entonces no se guarda nada de lo que hagas aquí.',
+    'export.done': '💾 Progreso exportado',
+    'export.failed': '⚠️ No se pudo exportar el progreso ({error})',
+    'import.title': '📥 Importar progreso',
+    'import.merge': 'Combinar',
+    'import.mergeDescription': 'Conserva el mejor resultado de cada acertijo',
+    'import.replace': 'Reemplazar',
+    'import.replaceDescription': 'Sobrescribe todo el progreso de este dispositivo',
+    'import.exportedAt': ', exportado el {date}',
+    'import.summary': { one: '{file}{exported}: {count} acertijo jugado, {solved} resuelto(s).', other: '{file}{exported}: {count} acertijos jugados, {solved} resuelto(s).' },
+    'import.merged': '📥 Progreso combinado desde el archivo',
+    'import.replaced': '📥 Progreso reemplazado desde el archivo',
+    'import.error.json': 'El archivo no es un JSON válido.',
+    'import.error.format': 'El archivo no es una exportación de progreso de El Acertijo del Guardián.',
+    'import.error.version': 'El archivo se exportó con una versión más reciente del juego (formato v{version}).',
+    'import.error.checksumMissing': 'Al archivo le faltan los datos de progreso o la suma de verificación.',
+    'import.error.checksum': 'La suma de verificación no coincide. Puede que el archivo se haya editado o dañado.',
+    'import.error.data': 'Los datos de progreso del archivo están mal formados.',
+    'import.error.entry': 'La entrada de progreso de «{id}» está mal formada.',
+    'import.error.daily': 'El resultado del acertijo del día «{date}» está mal formado.',
+
+    // Profiles
+    'profile.title': '👤 Perfiles de jugador',
+    'profile.defaultName': 'Jugador 1',
+    'profile.buttonLabel': 'Gestionar perfiles de jugador',
+    'profile.newPlaceholder': 'Nombre del nuevo perfil...',
+    'profile.newLabel': 'Nombre del nuevo perfil',
+    'profile.add': 'Añadir',
+    'profile.play': 'Jugar',
+    'profile.rename': 'Renombrar',
+    'profile.delete': 'Eliminar',
+    'profile.playLabel': 'Jugar con el perfil {name}',
+    'profile.renameLabel': 'Renombrar el perfil {name}',
+    'profile.deleteLabel': 'Eliminar el perfil {name}',
+    'profile.playingAs': '👤 Jugando como {name}',
+    'profile.renamePrompt': 'Nuevo nombre del perfil:',
+    'profile.deleteConfirm': '¿Eliminar el perfil «{name}» y todo su progreso? No se puede deshacer.',
+    'profile.error.empty': 'El nombre del perfil no puede estar vacío.',
+    'profile.error.tooLong': 'El nombre del perfil debe tener como máximo {max} caracteres.',
+    'profile.error.exists': 'Ya existe un perfil llamado «{name}».',
+    'profile.error.missing': 'Ese perfil ya no existe.',
+    'profile.error.default': 'El perfil predeterminado no se puede eliminar.',
+
+    // Party mode
+    'party.title': '🎉 Modo fiesta',
+    'party.intro': 'Adivinad por turnos en este dispositivo. Quien lo resuelva primero y con menos intentos gana más puntos.',
+    'party.rounds': 'Rondas',
+    'party.start': 'Empezar la fiesta',
+    'party.end': 'Terminar la fiesta',
+    'party.player': 'Jugador {number}',
+    'party.playerOptional': 'Jugador {number} (opcional)',
+    'party.playerLabel': 'Nombre del jugador {number}',
+    'party.speedrunActive': 'Termina o abandona tu contrarreloj antes de empezar una fiesta.',
+    'party.started': '🎉 ¡Empieza la fiesta! {player} va primero.',
+    'party.solved': '✅ ¡{player} lo ha resuelto! Guárdate la respuesta...',
+    'party.partSolved': '✅ ¡{player} ha resuelto la parte {part} de {count}! No digas nada...',
+    'party.guess': '{player}: ',
+    'party.passes': '🏳️ {player} pasa.',
+    'party.passed': 'Pasó',
+    'party.finalTitle': '🏆 Clasificación final',
+    'party.tie': '¡Empate entre {players}!',
+    'party.wins': { one: '¡{player} gana con {count} punto!', other: '¡{player} gana con {count} puntos!' },
+    'party.roundTitle': '🎉 Ronda {round} de {count}',
+    'party.solvedFirst': '¡{player} lo resolvió primero! La respuesta es:',
+    'party.nobodySolved': 'Nadie lo resolvió. La respuesta es:',
+    'party.turn': '🎉 Ronda {round} de {count} · Turno de {player}',
+    'party.roundComplete': '🎉 Ronda {round} de {count} terminada',
+    'party.endConfirm': '¿Terminar la fiesta ahora? La ronda actual no puntuará.',
+    'party.error.players': 'El modo fiesta necesita de {min} a {max} jugadores.',
+    'party.error.nameLength': 'Los nombres deben tener como máximo {max} caracteres.',
+    'party.error.duplicate': 'Cada jugador necesita un nombre distinto.',
+    'party.error.rounds': 'Elige al menos una ronda.',
+
+    // Speedrun
+    'speedrun.skip': 'Saltar (+2:00)',
+    'speedrun.end': 'Terminar',
+    'speedrun.partyActive': '🎉 Termina la fiesta antes de empezar una contrarreloj',
+    'speedrun.confirm': { one: '¿Empezar una contrarreloj con {count} acertijo?\n\nCada intento fallido suma {wrong}, cada pista {hint} y saltar un acertijo {skip}.', other: '¿Empezar una contrarreloj con los {count} acertijos?\n\nCada intento fallido suma {wrong}, cada pista {hint} y saltar un acertijo {skip}.' },
+    'speedrun.abandoned': '⏱️ Contrarreloj abandonada. Los tramos terminados se guardaron en tu historial.',
+    'speedrun.skipped': '⏭️ Saltado (+{penalty})',
+    'speedrun.quitConfirm': '¿Terminar esta contrarreloj? Los tramos terminados se guardan en tu historial.',
+    'speedrun.splitTitle': '⏱️ Tramo {split} de {count}',
+    'speedrun.splitMessage': 'Resuelto en {attempts} con {hints}. La respuesta es:',
+    'speedrun.time': 'Tiempo',
+    'speedrun.penalties': 'Penalizaciones',
+    'speedrun.personalBest': 'Mejor marca',
+    'speedrun.split': 'Tramo',
+    'speedrun.completeTitle': '🏁 Contrarreloj completada',
+    'speedrun.endedTitle': '⏱️ Contrarreloj terminada',
+    'speedrun.newBest': '¡Nueva mejor marca: {time}!',
+    'speedrun.finished': 'Terminada en {time}. Mejor marca: {best}.',
+    'speedrun.partial': '{splits} de {count} tramos en {time}.',
+    'speedrun.splitRow': '{number}. {title}',
+    'speedrun.skippedRow': '{number}. {title} (saltado)',
+    'speedrun.complete': 'Completa',
+    'speedrun.recentRuns': 'Partidas recientes',
+    'speedrun.status': 'Acertijo {split} de {count}',
+    'speedrun.personalBestShort': 'Récord {time}',
+
+    // Riddle requests and login
+    'request.title': '🎯 Pedir un acertijo',
+    'request.email': 'Por correo',
+    'request.emailDescription': 'Envía tu idea de acertijo por correo electrónico',
+    'request.emailSubject': 'Petición de acertijo - [Tu sugerencia]',
+    'request.emailBody': 'Hola:\n\nMe gustaría proponer un acertijo nuevo para El Acertijo del Guardián:\n\n[Describe aquí tu idea de acertijo]\n\nTema del acertijo:\n\n\nRespuesta sugerida:\n\n\n¡Gracias!',
+    'request.ai': 'Curado por IA',
+    'request.aiDescription': 'Pide a la IA que encuentre un acertijo difícil',
+    'request.loginRequired': '🔐 Inicia sesión para pedir acertijos curados por IA',
+    'request.creating': '🤖 Creando la petición en GitHub para el acertijo de la IA...',
+    'request.submitted': '✅ ¡Petición enviada! Se creó la incidencia #{id}. Un agente abrirá un PR para ella; vuelve a cargar en unos 10 minutos.',
+    'request.failed': '⚠️ No se pudo crear la incidencia automáticamente{details}. Revisa los permisos de tu token de GitHub y vuelve a intentarlo.',
+    'request.failedFallback': '⚠️ No se pudo crear la incidencia automáticamente{details}. Abriendo el formulario de GitHub...',
+    'request.unknownIssue': 'desconocida',
+    'auth.login': 'Iniciar sesión',
+    'auth.loginLabel': 'Iniciar sesión con GitHub',
+    'auth.logout': 'Cerrar sesión',
+    'auth.logoutLabel': 'Cerrar la sesión de GitHub',
+    'auth.logoutConfirm': '¿Seguro que quieres cerrar sesión? Tendrás que volver a iniciarla para pedir acertijos curados por IA.'
+};
@@ -0,0 +1,238 @@
+// Answer Matching Engine
+// Normalizes guesses and grades them against a riddle's correct and close answers
+
+export const MATCH_CORRECT = 'correct';
+export const MATCH_CLOSE = 'close';
+export const MATCH_WRONG = 'wrong';
+
+// Scores at or above these thresholds count as a match
+export const CORRECT_THRESHOLD = 0.85;
+export const CLOSE_THRESHOLD = 0.5;
+
+// Score lost for each word in a guess that is not part of the answer, so a list of words that
+// happens to include the answer ("mirror river clock time silence") is not correct
+const EXTRA_WORD_PENALTY = 0.2;
+
+// Answers are written in English unless a riddle translation provides its own
+export const DEFAULT_MATCH_LOCALE = 'en';
+
+// Words ending in "s" that are not plurals
+const SINGULAR_EXCEPTIONS = new Set(['is', 'its', 'this', 'was', 'has', 'his', 'yes', 'us', 'thus', 'always']);
+
+// Reduce a single English word to a rough singular form
+function singularizeEnglish(word) {
+    if (word.length <= 3 || SINGULAR_EXCEPTIONS.has(word)) {
+        return word;
+    }
+    if (word.endsWith('ies') && word.length > 4) {
+        return word.slice(0, -3) + 'y';
+    }
+    if (/(ss|us|sis)$/.test(word)) {
+        return word;
+    }
+    if (/(sh|ch|x|z|ss)es$/.test(word)) {
+        return word.slice(0, -2);
+    }
+    if (word.endsWith('s')) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+// Spanish words ending in "s" that are not plurals
+const SPANISH_SINGULAR_EXCEPTIONS = new Set(['mas', 'tres', 'dios', 'crisis', 'lunes', 'martes', 'virus', 'tesis', 'analisis']);
+
+// Reduce a single Spanish word (already without accents) to a rough singular form
+function singularizeSpanish(word) {
+    if (word.length <= 3 || SPANISH_SINGULAR_EXCEPTIONS.has(word)) {
+        return word;
+    }
+    if (word.endsWith('ces')) {
+        return word.slice(0, -3) + 'z';
+    }
+    if (/[lrndj]es$/.test(word)) {
+        return word.slice(0, -2);
+    }
+    if (word.endsWith('s')) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+// Per-language normalization: articles dropped ("the mirror" == "mirror") and plural reduction
+// Languages without rules keep every word as typed
+const LANGUAGE_RULES = {
+    en: { articles: new Set(['a', 'an', 'the']), singularize: singularizeEnglish },
+    es: { articles: new Set(['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas']), singularize: singularizeSpanish }
+};
+
+function getLanguageRules(locale) {
+    return LANGUAGE_RULES[String(locale).split('-')[0]] || { articles: new Set(), singularize: word => word };
+}
+
+// Split text into normalized tokens: lowercase, no accents, punctuation or articles, singular
+// The locale picks the language rules and the lowercasing (e.g. Turkish dotted and dotless i)
+export function tokenizeAnswer(text, locale = DEFAULT_MATCH_LOCALE) {
+    if (typeof text !== 'string') {
+        return [];
+    }
+
+    const { articles, singularize } = getLanguageRules(locale);
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLocaleLowerCase(locale)
+        .replace(/['’]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .split(' ')
+        .filter(token => token && !articles.has(token))
+        .map(singularize);
+}
+
+// Normalize text into a single comparable string
+export function normalizeAnswer(text, locale = DEFAULT_MATCH_LOCALE) {
+    return tokenizeAnswer(text, locale).join(' ');
+}
+
+// Levenshtein edit distance between two strings
+export function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Number of typos tolerated for a word of the given length
+// Short words must match exactly so "ai" never matches "at" or "rain"
+function allowedEdits(length) {
+    if (length < 5) return 0;
+    if (length <= 8) return 1;
+    return 2;
+}
+
+// Similarity (0-1) between two words, or 0 when they are too far apart
+function wordSimilarity(a, b) {
+    if (a === b) return 1;
+    const distance = editDistance(a, b);
+    if (distance > allowedEdits(Math.min(a.length, b.length))) {
+        return 0;
+    }
+    return 1 - distance / Math.max(a.length, b.length);
+}
+
+// Score how well the answer tokens are covered by whole words in the guess
+function tokenOverlapScore(guessTokens, answerTokens) {
+    const used = new Set();
+    let matched = 0;
+
+    for (const answerToken of answerTokens) {
+        let best = 0;
+        let bestIndex = -1;
+        guessTokens.forEach((guessToken, index) => {
+            if (used.has(index)) return;
+            const similarity = wordSimilarity(guessToken, answerToken);
+            if (similarity > best) {
+                best = similarity;
+                bestIndex = index;
+            }
+        });
+        if (bestIndex !== -1) {
+            used.add(bestIndex);
+            matched += best;
+        }
+    }
+
+    const coverage = matched / answerTokens.length;
+    return coverage * extraWordFactor(guessTokens.length - used.size);
+}
+
+// Share of the score kept by a guess with words that are not part of the answer
+// Each extra word costs a fifth: one extra word ("it's a mirror") drops a guess to close,
+// and a guess that is mostly other words is wrong
+export function extraWordFactor(extraWords) {
+    return Math.max(0, 1 - EXTRA_WORD_PENALTY * extraWords);
+}
+
+// Score a normalized guess against a single answer (0-1)
+function scoreAgainst(guessTokens, answer, locale) {
+    const answerTokens = tokenizeAnswer(answer, locale);
+    if (!guessTokens.length || !answerTokens.length) {
+        return 0;
+    }
+
+    const guess = guessTokens.join(' ');
+    const target = answerTokens.join(' ');
+    if (guess === target) {
+        return 1;
+    }
+
+    // Compare without spaces so "self reference" and "selfreference" agree
+    const compactGuess = guessTokens.join('');
+    const compactTarget = answerTokens.join('');
+    const compactScore = wordSimilarity(compactGuess, compactTarget);
+
+    return Math.max(compactScore, tokenOverlapScore(guessTokens, answerTokens));
+}
+
+// Best score and matching answer from a list of candidates
+function bestMatch(guessTokens, answers = [], locale) {
+    let best = { score: 0, answer: null };
+    for (const answer of answers) {
+        const score = scoreAgainst(guessTokens, answer, locale);
+        if (score > best.score) {
+            best = { score, answer };
+        }
+    }
+    return best;
+}
+
+// Grade a guess against a riddle's answers, normalized with the rules of the answers' locale
+// Returns { grade: 'correct' | 'close' | 'wrong', confidence: 0-1, matched: answer or null }
+export function matchAnswer(guess, { correctAnswers = [], closeAnswers = [] } = {}, locale = DEFAULT_MATCH_LOCALE) {
+    const guessTokens = tokenizeAnswer(guess, locale);
+    const correct = bestMatch(guessTokens, correctAnswers, locale);
+
+    if (correct.score >= CORRECT_THRESHOLD) {
+        return { grade: MATCH_CORRECT, confidence: correct.score, matched: correct.answer };
+    }
+
+    const close = bestMatch(guessTokens, closeAnswers, locale);
+
+    if (close.score >= CORRECT_THRESHOLD) {
+        return { grade: MATCH_CLOSE, confidence: close.score, matched: close.answer };
+    }
+
+    // Half of a correct answer ("recursive" for "recursive function") is also close
+    if (correct.score >= CLOSE_THRESHOLD) {
+        return { grade: MATCH_CLOSE, confidence: correct.score, matched: correct.answer };
+    }
+
+    return {
+        grade: MATCH_WRONG,
+        confidence: 1 - Math.max(correct.score, close.score),
+        matched: null
+    };
+}
+
+// Rank match results on one scale (higher is better): any correct match beats any close one, which
+// beats a wrong guess; within a grade the more confident match wins, and wrong guesses nearer an
+// answer rank above ones further off
+export function matchStrength({ grade, confidence }) {
+    if (grade === MATCH_CORRECT) return 2 + confidence;
+    if (grade === MATCH_CLOSE) return 1 + confidence;
+    return 1 - confidence;
+}
@@ -0,0 +1,147 @@
+// Party Mode
+// Hot-seat multiplayer: 2-6 named players take turns guessing the same riddle on one device.
+// Each player has their own attempts and hint usage per round; points go to the players who solve,
+// ranked by who solved first, with a bonus for needing fewer attempts.
+// Party state lives only in memory and never touches single-player progress.
+
+import { t } from './i18n.js';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+const MAX_NAME_LENGTH = 20;
+
+// Points by solve order (first solver gets the most)
+const PLACE_POINTS = [100, 70, 50, 35, 25, 15];
+const ATTEMPT_BONUS = 50; // Bonus for solving on the first guess
+const ATTEMPT_BONUS_STEP = 10; // Bonus lost per wrong guess
+const HINT_PENALTY = 15;
+const MIN_SOLVE_POINTS = 10;
+
+// Create a party; throws an Error with a player-facing message for invalid setups
+export function createParty(names, totalRounds) {
+    const players = names.map(name => (name || '').trim()).filter(Boolean);
+    if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+        throw new Error(t('party.error.players', { min: MIN_PLAYERS, max: MAX_PLAYERS }));
+    }
+    if (players.some(name => name.length > MAX_NAME_LENGTH)) {
+        throw new Error(t('party.error.nameLength', { max: MAX_NAME_LENGTH }));
+    }
+    if (new Set(players.map(name => name.toLowerCase())).size !== players.length) {
+        throw new Error(t('party.error.duplicate'));
+    }
+    if (!Number.isInteger(totalRounds) || totalRounds < 1) {
+        throw new Error(t('party.error.rounds'));
+    }
+
+    return {
+        players: players.map(name => ({ name, score: 0, solves: 0 })),
+        totalRounds,
+        completedRounds: 0,
+        round: null
+    };
+}
+
+// Start a round on a riddle; the starting player rotates each round
+export function startRound(party, riddleId) {
+    party.round = {
+        riddleId,
+        turn: party.completedRounds % party.players.length,
+        players: party.players.map(() => ({ attempts: 0, hintsUsed: 0, partsSolved: 0, partHintsUsed: 0, solved: false, passed: false })),
+        solveOrder: []
+    };
+    return party.round;
+}
+
+// Round state { attempts, hintsUsed, partsSolved, partHintsUsed, solved, passed } of the player whose turn it is
+export function getCurrentPlayerState(party) {
+    return party.round.players[party.round.turn];
+}
+
+export function getCurrentPlayerName(party) {
+    return party.players[party.round.turn].name;
+}
+
+function isOut(state) {
+    return state.solved || state.passed;
+}
+
+// Whether every player has solved or passed
+export function isRoundFinished(round) {
+    return round.players.every(isOut);
+}
+
+// Move to the next player who is still guessing
+function advanceTurn(round) {
+    if (isRoundFinished(round)) return;
+    do {
+        round.turn = (round.turn + 1) % round.players.length;
+    } while (isOut(round.players[round.turn]));
+}
+
+// Record the current player's guess and pass the turn on
+// A riddle in several parts is solved once the player has answered all partCount parts
+export function recordGuess(party, correct, partCount = 1) {
+    const round = party.round;
+    const state = round.players[round.turn];
+    state.attempts++;
+    if (correct) {
+        state.partsSolved++;
+        state.partHintsUsed = 0;
+    }
+    if (correct && state.partsSolved >= partCount) {
+        state.solved = true;
+        round.solveOrder.push(round.turn);
+    }
+    advanceTurn(round);
+}
+
+// The current player gives up on this round
+export function passTurn(party) {
+    const round = party.round;
+    round.players[round.turn].passed = true;
+    advanceTurn(round);
+}
+
+export function recordHint(party) {
+    const state = getCurrentPlayerState(party);
+    state.hintsUsed++;
+    state.partHintsUsed++;
+}
+
+// Points for a solve given its place (0 = first) and the player's round state
+function solvePoints(place, state) {
+    const wrongAttempts = state.attempts - state.partsSolved;
+    const bonus = Math.max(0, ATTEMPT_BONUS - ATTEMPT_BONUS_STEP * wrongAttempts);
+    const points = PLACE_POINTS[place] + bonus - HINT_PENALTY * state.hintsUsed;
+    return Math.max(MIN_SOLVE_POINTS, points);
+}
+
+// Score the round and add the points to each player's total
+// Returns [{ name, solved, place, attempts, hintsUsed, points }] in finishing order
+export function finishRound(party) {
+    const round = party.round;
+    const results = party.players.map((player, index) => {
+        const state = round.players[index];
+        const place = round.solveOrder.indexOf(index);
+        const points = state.solved ? solvePoints(place, state) : 0;
+        player.score += points;
+        if (state.solved) player.solves++;
+        return { name: player.name, solved: state.solved, place, attempts: state.attempts, hintsUsed: state.hintsUsed, points };
+    });
+
+    party.completedRounds++;
+    party.round = null;
+    return results.sort((a, b) => {
+        if (a.solved !== b.solved) return a.solved ? -1 : 1;
+        return a.solved ? a.place - b.place : b.points - a.points;
+    });
+}
+
+export function isPartyOver(party) {
+    return party.completedRounds >= party.totalRounds;
+}
+
+// Players ranked by score, then by number of solves
+export function getLeaderboard(party) {
+    return [...party.players].sort((a, b) => b.score - a.score || b.solves - a.solves);
+}
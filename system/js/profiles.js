@@ -0,0 +1,110 @@
+// Player Profiles
+// Local profiles for shared devices; each profile has its own progress, settings and daily streak.
+// The default profile owns data saved before profiles existed and is the one synced to GitHub.
+
+import { t } from './i18n.js';
+
+const PROFILES_KEY = 'playerProfiles';
+export const DEFAULT_PROFILE_ID = 'default';
+const MAX_NAME_LENGTH = 24;
+
+function createProfileId() {
+    return `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// The profile list before anything has been saved; the default profile is named in the player's
+// language until the list is first saved
+function defaultState() {
+    return {
+        activeId: DEFAULT_PROFILE_ID,
+        profiles: [{ id: DEFAULT_PROFILE_ID, name: t('profile.defaultName'), createdAt: Date.now() }]
+    };
+}
+
+// Load the profile list: { activeId, profiles: [{ id, name, createdAt }] }
+export function loadProfiles() {
+    const saved = localStorage.getItem(PROFILES_KEY);
+    if (!saved) return defaultState();
+    try {
+        const state = JSON.parse(saved);
+        if (!state || !Array.isArray(state.profiles) || !state.profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+            return defaultState();
+        }
+        if (!state.profiles.some(p => p.id === state.activeId)) {
+            state.activeId = DEFAULT_PROFILE_ID;
+        }
+        return state;
+    } catch (e) {
+        console.error('Failed to load profiles:', e);
+        return defaultState();
+    }
+}
+
+function saveProfiles(state) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+}
+
+export function getActiveProfile(state = loadProfiles()) {
+    return state.profiles.find(p => p.id === state.activeId);
+}
+
+// Trim and check a profile name; throws an Error with a player-facing message
+function validateName(state, name, exceptId = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+        throw new Error(t('profile.error.empty'));
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+        throw new Error(t('profile.error.tooLong', { max: MAX_NAME_LENGTH }));
+    }
+    const lower = trimmed.toLowerCase();
+    if (state.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === lower)) {
+        throw new Error(t('profile.error.exists', { name: trimmed }));
+    }
+    return trimmed;
+}
+
+// Create a profile and return it (does not switch to it)
+export function createProfile(name) {
+    const state = loadProfiles();
+    const profile = { id: createProfileId(), name: validateName(state, name), createdAt: Date.now() };
+    state.profiles.push(profile);
+    saveProfiles(state);
+    return profile;
+}
+
+export function renameProfile(id, name) {
+    const state = loadProfiles();
+    const profile = state.profiles.find(p => p.id === id);
+    if (!profile) {
+        throw new Error(t('profile.error.missing'));
+    }
+    profile.name = validateName(state, name, id);
+    saveProfiles(state);
+    return profile;
+}
+
+// Remove a profile from the list; the caller deletes its stored data
+// Deleting the active profile switches back to the default profile
+export function deleteProfile(id) {
+    if (id === DEFAULT_PROFILE_ID) {
+        throw new Error(t('profile.error.default'));
+    }
+    const state = loadProfiles();
+    state.profiles = state.profiles.filter(p => p.id !== id);
+    if (state.activeId === id) {
+        state.activeId = DEFAULT_PROFILE_ID;
+    }
+    saveProfiles(state);
+    return state;
+}
+
+export function setActiveProfile(id) {
+    const state = loadProfiles();
+    if (!state.profiles.some(p => p.id === id)) {
+        throw new Error(t('profile.error.missing'));
+    }
+    state.activeId = id;
+    saveProfiles(state);
+    return getActiveProfile(state);
+}
@@ -0,0 +1,187 @@
+// Progress File Export/Import
+// Serializes progress, settings and daily history to a versioned JSON file with a checksum,
+// and validates and merges imported files
+
+import { t } from './i18n.js';
+
+const FILE_FORMAT = 'gatekeeper-progress';
+const FILE_VERSION = 1;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Keys that would change an object's prototype instead of adding an entry when merged
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+// SHA-256 hex digest of the serialized data section
+async function checksum(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Build the export file contents
+export async function createProgressExport({ riddleProgress, settings, dailyHistory }) {
+    const data = {
+        riddleProgress: riddleProgress || {},
+        settings: settings || {},
+        dailyHistory: dailyHistory || {}
+    };
+    return {
+        format: FILE_FORMAT,
+        version: FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        data,
+        checksum: await checksum(data)
+    };
+}
+
+// An optional count or score: left out, or a whole number of at least 0
+function isOptionalCount(value) {
+    return value === undefined || (Number.isInteger(value) && value >= 0);
+}
+
+// An optional timestamp in milliseconds: left out, null, or a finite number
+function isOptionalTimestamp(value) {
+    return value === undefined || value === null || Number.isFinite(value);
+}
+
+// Check that a riddle progress entry has the shape game.js writes
+// (stats.js does arithmetic with the scores and formats the timestamps as dates)
+function isValidProgressEntry(entry) {
+    return isPlainObject(entry) &&
+        Number.isInteger(entry.attempts) && entry.attempts >= 0 &&
+        typeof entry.solved === 'boolean' &&
+        (entry.gaveUp === undefined || typeof entry.gaveUp === 'boolean') &&
+        isOptionalCount(entry.hintsUsed) &&
+        isOptionalCount(entry.partsSolved) &&
+        isOptionalCount(entry.partHintsUsed) &&
+        isOptionalCount(entry.score) &&
+        isOptionalCount(entry.bestScore) &&
+        isOptionalTimestamp(entry.startedAt) &&
+        isOptionalTimestamp(entry.solvedAt) &&
+        isOptionalTimestamp(entry.gaveUpAt) &&
+        (entry.solvedMode === undefined || entry.solvedMode === 'text' || entry.solvedMode === 'choice');
+}
+
+// Check that a daily history entry has the shape daily.js writes
+function isValidDailyEntry(entry) {
+    return isPlainObject(entry) &&
+        typeof entry.riddleId === 'string' &&
+        Array.isArray(entry.guesses) && entry.guesses.every(grade => typeof grade === 'string') &&
+        Number.isInteger(entry.hintsUsed) && entry.hintsUsed >= 0 &&
+        typeof entry.solved === 'boolean' &&
+        typeof entry.gaveUp === 'boolean' &&
+        isOptionalCount(entry.partsSolved) &&
+        isOptionalTimestamp(entry.finishedAt);
+}
+
+// The entries of a riddleProgress map from elsewhere (a synced gist) that have a valid shape
+// and a safe riddle id; anything else is left out
+export function pickValidRiddleProgress(riddleProgress) {
+    if (!isPlainObject(riddleProgress)) return {};
+    return Object.fromEntries(Object.entries(riddleProgress)
+        .filter(([id, entry]) => !UNSAFE_KEYS.has(id) && isValidProgressEntry(entry)));
+}
+
+// Parse and validate an export file, returning its data section
+// Throws an Error with a player-facing message if the file is not a valid progress export
+export async function parseProgressExport(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('import.error.json'));
+    }
+
+    if (!isPlainObject(file) || file.format !== FILE_FORMAT) {
+        throw new Error(t('import.error.format'));
+    }
+    if (!Number.isInteger(file.version) || file.version > FILE_VERSION) {
+        throw new Error(t('import.error.version', { version: file.version }));
+    }
+    if (!isPlainObject(file.data) || typeof file.checksum !== 'string') {
+        throw new Error(t('import.error.checksumMissing'));
+    }
+    if (await checksum(file.data) !== file.checksum) {
+        throw new Error(t('import.error.checksum'));
+    }
+
+    const { riddleProgress = {}, settings = {}, dailyHistory = {} } = file.data;
+    if (!isPlainObject(riddleProgress) || !isPlainObject(settings) || !isPlainObject(dailyHistory)) {
+        throw new Error(t('import.error.data'));
+    }
+    for (const [id, entry] of Object.entries(riddleProgress)) {
+        if (UNSAFE_KEYS.has(id) || !isValidProgressEntry(entry)) {
+            throw new Error(t('import.error.entry', { id }));
+        }
+    }
+    for (const [date, entry] of Object.entries(dailyHistory)) {
+        if (!DATE_KEY_PATTERN.test(date) || !isValidDailyEntry(entry)) {
+            throw new Error(t('import.error.daily', { date }));
+        }
+    }
+
+    return { riddleProgress, settings, dailyHistory, exportedAt: file.exportedAt || null };
+}
+
+// Rank a riddle result: clean solve > solve after giving up > gave up > in progress > untouched
+function resultRank(entry) {
+    if (entry.solved && !entry.gaveUp) return 4;
+    if (entry.solved) return 3;
+    if (entry.gaveUp) return 2;
+    if (entry.attempts > 0 || entry.hintsUsed > 0) return 1;
+    return 0;
+}
+
+// Whether riddle progress entry a is a better result than b
+function isBetterResult(a, b) {
+    const rankA = resultRank(a);
+    const rankB = resultRank(b);
+    if (rankA !== rankB) return rankA > rankB;
+    if ((a.bestScore || 0) !== (b.bestScore || 0)) return (a.bestScore || 0) > (b.bestScore || 0);
+    if (a.solved) return a.attempts < b.attempts;
+    // An unfinished multi-part riddle is further along with more parts solved
+    if ((a.partsSolved || 0) !== (b.partsSolved || 0)) return (a.partsSolved || 0) > (b.partsSolved || 0);
+    return a.attempts > b.attempts;
+}
+
+// Merge two riddleProgress maps, keeping the best result for each riddle
+export function mergeRiddleProgress(local, incoming) {
+    const merged = { ...local };
+    for (const [id, entry] of Object.entries(incoming)) {
+        const current = merged[id];
+        if (!current) {
+            merged[id] = entry;
+            continue;
+        }
+        const best = isBetterResult(entry, current) ? entry : current;
+        merged[id] = {
+            ...best,
+            bestScore: Math.max(current.bestScore || 0, entry.bestScore || 0)
+        };
+    }
+    return merged;
+}
+
+// Merge two daily histories, keeping the better result for each day
+export function mergeDailyHistory(local, incoming) {
+    const merged = { ...local };
+    for (const [dateKey, entry] of Object.entries(incoming)) {
+        const current = merged[dateKey];
+        if (!current) {
+            merged[dateKey] = entry;
+        } else if (entry.solved && !entry.gaveUp && (!current.solved || current.gaveUp || entry.guesses.length < current.guesses.length)) {
+            merged[dateKey] = entry;
+        }
+    }
+    return merged;
+}
+
+// Suggested file name for an export, e.g. gatekeeper-progress-2026-10-19.json
+export function getExportFileName(date = new Date()) {
+    return `${FILE_FORMAT}-${date.toISOString().slice(0, 10)}.json`;
+}
@@ -0,0 +1,57 @@
+// Riddle Selector Filtering
+// Search, filter and sort registry metadata for the riddle selector
+
+import { DIFFICULTIES } from '../riddles/riddles.js';
+import { getLocale } from './i18n.js';
+
+// Sort orders; each is labelled by the 'selector.sort.<order>' message
+export const SORT_OPTIONS = ['default', 'title', 'difficulty', 'newest'];
+
+export const DEFAULT_FILTERS = { query: '', tag: '', difficulty: '', status: 'all', sort: 'default' };
+
+// Every tag used by at least one riddle, alphabetically
+export function collectTags(riddles) {
+    return [...new Set(riddles.flatMap(riddle => riddle.tags || []))].sort();
+}
+
+// Whether any filter or search narrows the list
+export function hasActiveFilters(filters) {
+    return Boolean(filters.query.trim() || filters.tag || filters.difficulty || filters.status !== 'all');
+}
+
+function matchesQuery(riddle, query) {
+    const words = query.toLocaleLowerCase(getLocale()).split(/\s+/).filter(Boolean);
+    const haystack = [riddle.title, riddle.author || '', ...(riddle.tags || [])].join(' ').toLocaleLowerCase(getLocale());
+    return words.every(word => haystack.includes(word));
+}
+
+// Difficulty rank for sorting; riddles without one go last
+function difficultyRank(riddle) {
+    const rank = DIFFICULTIES.indexOf(riddle.difficulty);
+    return rank === -1 ? DIFFICULTIES.length : rank;
+}
+
+const COMPARATORS = {
+    default: (a, b) => a.index - b.index,
+    title: (a, b) => a.riddle.title.localeCompare(b.riddle.title, getLocale()),
+    difficulty: (a, b) => difficultyRank(a.riddle) - difficultyRank(b.riddle),
+    // ISO dates compare as strings; undated riddles go last
+    newest: (a, b) => (b.riddle.date || '').localeCompare(a.riddle.date || '')
+};
+
+// Filter and sort the registry (with titles in the player's language) for the selector
+// Returns [{ riddle, index }] where index is the registry index to pass to loadRiddle()
+export function filterRiddles(riddles, filters, isSolved) {
+    const compare = COMPARATORS[filters.sort] || COMPARATORS.default;
+    return riddles
+        .map((riddle, index) => ({ riddle, index }))
+        .filter(({ riddle }) => {
+            if (filters.query.trim() && !matchesQuery(riddle, filters.query)) return false;
+            if (filters.tag && !(riddle.tags || []).includes(filters.tag)) return false;
+            if (filters.difficulty && riddle.difficulty !== filters.difficulty) return false;
+            if (filters.status === 'solved' && !isSolved(riddle.id)) return false;
+            if (filters.status === 'unsolved' && isSolved(riddle.id)) return false;
+            return true;
+        })
+        .sort((a, b) => compare(a, b) || a.index - b.index);
+}
@@ -0,0 +1,61 @@
+// URL Router
+// Hash-based deep links to riddles (riddle.html#/r/the-clockmakers-child) and the daily riddle (#/daily)
+
+const RIDDLE_ROUTE = /^#\/r\/([^/?#]+)\/?$/;
+const DAILY_ROUTE = /^#\/daily\/?$/;
+
+// Parse the current location into a route:
+// { type: 'riddle', id } | { type: 'daily' } | { type: 'home' } | { type: 'unknown', path }
+export function parseRoute(location = window.location) {
+    const hash = location.hash || '';
+
+    const riddleMatch = hash.match(RIDDLE_ROUTE);
+    if (riddleMatch) {
+        try {
+            return { type: 'riddle', id: decodeURIComponent(riddleMatch[1]) };
+        } catch (error) {
+            // A malformed escape (#/r/%E0) is not a riddle id
+            return { type: 'unknown', path: hash.slice(1) };
+        }
+    }
+    if (DAILY_ROUTE.test(hash) || new URLSearchParams(location.search).has('daily')) {
+        return { type: 'daily' };
+    }
+    if (hash === '' || hash === '#' || hash === '#/') {
+        return { type: 'home' };
+    }
+    return { type: 'unknown', path: hash.slice(1) };
+}
+
+// Hash for a route
+export function routeToHash(route) {
+    if (route.type === 'riddle') return `#/r/${encodeURIComponent(route.id)}`;
+    if (route.type === 'daily') return '#/daily';
+    return '';
+}
+
+// Build a URL for a route, dropping the legacy ?daily entry parameter
+function routeToUrl(route) {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('daily');
+    const search = params.toString();
+    return `${window.location.pathname}${search ? `?${search}` : ''}${routeToHash(route)}`;
+}
+
+// Record a route in browser history ('push' adds an entry, 'replace' updates the current one)
+export function navigate(route, mode = 'push') {
+    const url = routeToUrl(route);
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+        return;
+    }
+    if (mode === 'replace') {
+        history.replaceState({ route }, '', url);
+    } else {
+        history.pushState({ route }, '', url);
+    }
+}
+
+// Call handler(route) whenever the user moves through history with back/forward or edits the hash
+export function onRouteChange(handler) {
+    window.addEventListener('popstate', () => handler(parseRoute()));
+}
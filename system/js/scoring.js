@@ -0,0 +1,67 @@
+// Scoring Module
+// Computes points per riddle from attempts, hints revealed, time to solve and give-ups
+
+import { t } from './i18n.js';
+
+const BASE_POINTS = 1000;
+const ATTEMPT_PENALTY = 75;     // Per wrong attempt
+const HINT_PENALTY = 100;       // Per hint revealed
+const FREE_TIME_MS = 60 * 1000; // Solving within a minute costs nothing
+const TIME_PENALTY_PER_MINUTE = 25;
+const MAX_TIME_PENALTY = 300;
+const MIN_SOLVE_POINTS = 100;   // A solve is always worth something
+
+// Compute the score for a single riddle; a riddle in several parts needs one correct attempt per part
+// Returns { total, breakdown: [{ label, points }] }
+export function computeScore({ attempts = 0, hintsUsed = 0, timeMs = 0, gaveUp = false, parts = 1 }) {
+    if (gaveUp) {
+        return {
+            total: 0,
+            breakdown: [{ label: t('score.gaveUp'), points: 0 }]
+        };
+    }
+
+    const attemptPenalty = Math.max(0, attempts - parts) * ATTEMPT_PENALTY;
+    const hintPenalty = hintsUsed * HINT_PENALTY;
+    const extraMinutes = Math.max(0, timeMs - FREE_TIME_MS) / 60000;
+    const timePenalty = Math.min(MAX_TIME_PENALTY, Math.round(extraMinutes * TIME_PENALTY_PER_MINUTE));
+
+    const raw = BASE_POINTS - attemptPenalty - hintPenalty - timePenalty;
+    const total = Math.max(MIN_SOLVE_POINTS, raw);
+
+    const breakdown = [
+        { label: t('score.solved'), points: BASE_POINTS },
+        { label: t('score.attempts', { count: attempts }), points: -attemptPenalty },
+        { label: t('score.hints', { count: hintsUsed }), points: -hintPenalty },
+        { label: t('score.time', { time: formatDuration(timeMs) }), points: -timePenalty }
+    ];
+    if (total > raw) {
+        breakdown.push({ label: t('score.minimum'), points: total - raw });
+    }
+
+    return { total, breakdown };
+}
+
+// Record a finished riddle on its progress entry, keeping the best score
+export function recordScore(progress, score) {
+    progress.score = score.total;
+    progress.bestScore = Math.max(progress.bestScore || 0, score.total);
+    return progress;
+}
+
+// Running total across all riddles (sum of best scores)
+export function getTotalScore(riddleProgress) {
+    return Object.values(riddleProgress)
+        .reduce((total, progress) => total + (progress.bestScore || 0), 0);
+}
+
+// Format milliseconds as "1m 05s" or "42s"
+export function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    if (minutes === 0) {
+        return `${seconds}s`;
+    }
+    return `${minutes}m ${seconds.toString().padStart(2, '0')}s`;
+}
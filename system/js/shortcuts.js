@@ -0,0 +1,122 @@
+// Keyboard Shortcuts
+// Maps key combos to game actions. Each action can have several combos ('ArrowLeft' or 'k' for the
+// previous riddle); players can rebind them, and their bindings are saved per profile like the
+// answer mode. Combos are written as in getKeyCombo(): modifiers first, then the key
+// ('Ctrl+k', 'Shift+ArrowLeft', '?', 'g').
+
+const SHORTCUTS_KEY = 'shortcuts';
+
+// Actions in the order the shortcut help lists them
+export const SHORTCUT_ACTIONS = ['previous', 'next', 'hints', 'selector', 'giveUp', 'shortcuts', 'palette'];
+
+export const DEFAULT_SHORTCUTS = {
+    previous: ['ArrowLeft', 'k'],
+    next: ['ArrowRight', 'j'],
+    hints: ['h'],
+    selector: ['s'],
+    giveUp: ['g'],
+    shortcuts: ['?'],
+    palette: ['Ctrl+k']
+};
+
+const MODIFIER_KEYS = ['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'];
+
+// How keys are shown in the shortcut help
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ' ': 'Space'
+};
+
+// localStorage key for a profile's shortcuts (the default profile keeps the original key)
+function shortcutsKey(profileId) {
+    return !profileId || profileId === 'default' ? SHORTCUTS_KEY : `${SHORTCUTS_KEY}:${profileId}`;
+}
+
+function copyBindings(bindings) {
+    return Object.fromEntries(SHORTCUT_ACTIONS.map(action => [action, [...bindings[action]]]));
+}
+
+// Load a profile's shortcuts; actions without a valid saved binding keep their defaults
+export function loadShortcuts(profileId) {
+    const bindings = copyBindings(DEFAULT_SHORTCUTS);
+    try {
+        const saved = JSON.parse(localStorage.getItem(shortcutsKey(profileId)));
+        if (saved && typeof saved === 'object') {
+            SHORTCUT_ACTIONS.forEach((action) => {
+                const combos = saved[action];
+                if (Array.isArray(combos) && combos.every(combo => typeof combo === 'string' && combo)) {
+                    bindings[action] = combos;
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Failed to load shortcuts:', error);
+    }
+    return bindings;
+}
+
+export function saveShortcuts(bindings, profileId) {
+    localStorage.setItem(shortcutsKey(profileId), JSON.stringify(bindings));
+}
+
+// Delete a profile's shortcuts (back to the defaults)
+export function clearShortcuts(profileId) {
+    localStorage.removeItem(shortcutsKey(profileId));
+}
+
+// The combo for a keydown event, or null for a modifier key on its own
+// Cmd counts as Ctrl so Cmd+K works on a Mac; Shift is only written out for keys it does not
+// already change ('?' rather than 'Shift+?', but 'Shift+ArrowLeft' and 'Shift+g')
+export function getKeyCombo(event) {
+    if (!event.key || MODIFIER_KEYS.includes(event.key)) return null;
+
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+    const modifiers = [];
+    if (event.ctrlKey || event.metaKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey && (event.key.length > 1 || key !== event.key)) modifiers.push('Shift');
+    return [...modifiers, key].join('+');
+}
+
+// Whether a combo uses Ctrl or Alt (these work even while typing in a text field)
+export function hasModifier(combo) {
+    return /^(Ctrl|Alt)\+./.test(combo);
+}
+
+// The action bound to a combo, or null
+export function findShortcutAction(bindings, combo) {
+    return SHORTCUT_ACTIONS.find(action => bindings[action].includes(combo)) || null;
+}
+
+// Bind a combo to an action in place of its current combos, taking it away from any other action
+// Returns the new bindings
+export function bindShortcut(bindings, action, combo) {
+    const updated = copyBindings(bindings);
+    SHORTCUT_ACTIONS.forEach((other) => {
+        updated[other] = updated[other].filter(existing => existing !== combo);
+    });
+    updated[action] = [combo];
+    return updated;
+}
+
+// Show a combo for people: 'Ctrl+k' -> 'Ctrl+K', 'ArrowLeft' -> '←'
+export function formatKeyCombo(combo) {
+    // Split on '+' between parts, keeping a '+' key itself ('Ctrl++')
+    const parts = combo.split(/\+(?!$)/);
+    return parts.map((part) => {
+        if (KEY_LABELS[part]) return KEY_LABELS[part];
+        return part.length === 1 ? part.toUpperCase() : part;
+    }).join('+');
+}
+
+// Whether keys pressed in an element are typed text (single-key shortcuts are ignored there)
+export function isTypingTarget(element) {
+    if (!element || !element.tagName) return false;
+    if (element.isContentEditable) return true;
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+    if (element.tagName !== 'INPUT') return false;
+    return !['button', 'checkbox', 'radio', 'range', 'submit', 'reset', 'file', 'color'].includes(element.type);
+}
@@ -0,0 +1,168 @@
+// Read Aloud
+// Reads riddles, hints and feedback out loud with the Web Speech API (speechSynthesis).
+// Riddle text is read a line at a time so the line being read can be highlighted, with a pause at
+// each stanza break. The voice, rate and pitch are saved per profile, like the answer mode.
+// Where the browser has no speech synthesis, nothing is read and isSpeechAvailable() is false.
+
+const SPEECH_KEY = 'speech';
+const STANZA_PAUSE_MS = 700;
+
+// Limits of the rate and pitch sliders in the voice settings
+const RATE_RANGE = { min: 0.5, max: 2 };
+const PITCH_RANGE = { min: 0, max: 2 };
+
+// enabled: read riddles, revealed hints and guess feedback automatically
+// voice: voiceURI of the chosen voice, or null for the browser's default in the player's language
+export const DEFAULT_SPEECH_SETTINGS = { enabled: false, voice: null, rate: 1, pitch: 1 };
+
+let session = 0; // Bumped to cancel whatever is being read
+let finishReading = null; // Tells the reader that is speaking now that it has stopped
+
+export function isSpeechAvailable() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+}
+
+// localStorage key for a profile's speech settings (the default profile keeps the original key)
+function settingsKey(profileId) {
+    return !profileId || profileId === 'default' ? SPEECH_KEY : `${SPEECH_KEY}:${profileId}`;
+}
+
+// A number within a range, or the fallback for anything else
+function clampSetting(value, range, fallback) {
+    return Number.isFinite(value) ? Math.min(range.max, Math.max(range.min, value)) : fallback;
+}
+
+// Load a profile's speech settings, falling back to the defaults for anything missing or invalid
+export function loadSpeechSettings(profileId) {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(settingsKey(profileId)));
+    } catch (error) {
+        console.error('Failed to load speech settings:', error);
+    }
+    if (!saved || typeof saved !== 'object') {
+        return { ...DEFAULT_SPEECH_SETTINGS };
+    }
+    return {
+        enabled: saved.enabled === true,
+        voice: typeof saved.voice === 'string' && saved.voice ? saved.voice : null,
+        rate: clampSetting(saved.rate, RATE_RANGE, DEFAULT_SPEECH_SETTINGS.rate),
+        pitch: clampSetting(saved.pitch, PITCH_RANGE, DEFAULT_SPEECH_SETTINGS.pitch)
+    };
+}
+
+export function saveSpeechSettings(settings, profileId) {
+    localStorage.setItem(settingsKey(profileId), JSON.stringify(settings));
+}
+
+// Delete a profile's speech settings
+export function clearSpeechSettings(profileId) {
+    localStorage.removeItem(settingsKey(profileId));
+}
+
+function speaksLanguage(voice, locale) {
+    return voice.lang.toLowerCase().split(/[-_]/)[0] === locale;
+}
+
+// Voices that speak a language ('es' matches 'es-ES', 'es-MX'...), or every voice when none do
+export function getVoices(locale) {
+    if (!isSpeechAvailable()) return [];
+    const voices = window.speechSynthesis.getVoices();
+    const matching = voices.filter(voice => speaksLanguage(voice, locale));
+    return matching.length ? matching : voices;
+}
+
+// Call back when the browser's voice list changes (most browsers load voices after the page)
+export function onVoicesChanged(callback) {
+    if (isSpeechAvailable()) {
+        window.speechSynthesis.addEventListener('voiceschanged', callback);
+    }
+}
+
+// The saved voice if it is one of getVoices(locale), else the browser's default voice for the language (or null)
+function findVoice(voiceURI, locale) {
+    const voices = getVoices(locale);
+    const saved = voices.find(voice => voice.voiceURI === voiceURI);
+    if (saved) return saved;
+    const speakers = voices.filter(voice => speaksLanguage(voice, locale));
+    return speakers.find(voice => voice.default) || speakers[0] || null;
+}
+
+// Split riddle text into the segments to read: one per line that has text, with the line's index in
+// the text (for highlighting) and whether a stanza break comes before it
+export function splitLines(text) {
+    const segments = [];
+    let stanzaBreak = false;
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+            stanzaBreak = segments.length > 0;
+            return;
+        }
+        segments.push({ text: line.trim(), line: index, pauseBefore: stanzaBreak });
+        stanzaBreak = false;
+    });
+    return segments;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Speak one piece of text; resolves to false if it was interrupted or failed
+function speakUtterance(text, settings, locale) {
+    return new Promise((resolve) => {
+        const utterance = new window.SpeechSynthesisUtterance(text);
+        const voice = findVoice(settings.voice, locale);
+        utterance.lang = voice ? voice.lang : locale;
+        if (voice) {
+            utterance.voice = voice;
+        }
+        utterance.rate = settings.rate;
+        utterance.pitch = settings.pitch;
+        utterance.onend = () => resolve(true);
+        utterance.onerror = () => resolve(false);
+        window.speechSynthesis.speak(utterance);
+    });
+}
+
+// Read segments ({ text, pauseBefore }) in order, stopping anything that is already being read
+// onSegment(segment) is called as each segment starts, and onSegment(null) once reading ends or is stopped
+// Resolves to true if everything was read
+export async function speak(segments, { settings, locale, onSegment = () => {} }) {
+    stopSpeaking();
+    if (!isSpeechAvailable() || segments.length === 0) return false;
+
+    const id = session;
+    finishReading = () => onSegment(null);
+    for (const segment of segments) {
+        if (segment.pauseBefore) {
+            await wait(STANZA_PAUSE_MS);
+        }
+        if (id !== session) return false;
+        onSegment(segment);
+        const spoken = await speakUtterance(segment.text, settings, locale);
+        if (id !== session) return false;
+        if (!spoken) {
+            stopSpeaking();
+            return false;
+        }
+    }
+    stopSpeaking();
+    return true;
+}
+
+// Whether something is being read right now
+export function isSpeaking() {
+    return finishReading !== null;
+}
+
+// Stop reading, if anything is being read
+export function stopSpeaking() {
+    session++;
+    const finish = finishReading;
+    finishReading = null;
+    if (finish) finish();
+    if (isSpeechAvailable()) {
+        window.speechSynthesis.cancel();
+    }
+}
@@ -0,0 +1,173 @@
+// Speedrun Mode
+// Runs through every riddle in the registry against the clock. Each riddle is a split; wrong
+// attempts, hints and skips add time penalties. Runs are saved per profile with per-riddle
+// personal bests for split comparison.
+
+const SPEEDRUN_KEY = 'speedrunRecords';
+const MAX_SAVED_RUNS = 20;
+
+export const WRONG_ATTEMPT_PENALTY_MS = 10 * 1000;
+export const HINT_PENALTY_MS = 30 * 1000;
+export const SKIP_PENALTY_MS = 2 * 60 * 1000;
+
+// localStorage key for a profile's records (the default profile keeps the original key)
+function recordsKey(profileId) {
+    return !profileId || profileId === 'default' ? SPEEDRUN_KEY : `${SPEEDRUN_KEY}:${profileId}`;
+}
+
+// Load a profile's records: { runs: [run], bestSplits: { [riddleId]: ms }, bestTotalMs }
+export function loadSpeedrunRecords(profileId) {
+    const empty = { runs: [], bestSplits: {}, bestTotalMs: null };
+    const saved = localStorage.getItem(recordsKey(profileId));
+    if (!saved) return empty;
+    try {
+        return { ...empty, ...JSON.parse(saved) };
+    } catch (e) {
+        console.error('Failed to load speedrun records:', e);
+        return empty;
+    }
+}
+
+function saveSpeedrunRecords(records, profileId) {
+    localStorage.setItem(recordsKey(profileId), JSON.stringify(records));
+}
+
+// Delete a profile's records
+export function clearSpeedrunRecords(profileId) {
+    localStorage.removeItem(recordsKey(profileId));
+}
+
+// Start a run over the given riddle ids, in order
+export function createRun(riddleIds) {
+    return {
+        startedAt: Date.now(),
+        riddleIds,
+        index: 0,
+        splitStartedAt: null,
+        attempts: 0,
+        hintsUsed: 0,
+        partsSolved: 0,
+        partHintsUsed: 0,
+        splits: []
+    };
+}
+
+// Id of the riddle the run is currently on, or null once every split is done
+export function getRunRiddleId(run) {
+    return run.index < run.riddleIds.length ? run.riddleIds[run.index] : null;
+}
+
+// Start the clock for the current split (called once its riddle is on screen)
+export function startSplit(run, now = Date.now()) {
+    if (run.splitStartedAt === null) {
+        run.splitStartedAt = now;
+    }
+}
+
+// Time penalty for a split's wrong attempts, hints and skip
+// (correct answers to the parts of a multi-part riddle are not wrong attempts)
+export function splitPenaltyMs({ attempts, hintsUsed, solved, skipped, partsSolved = 0 }) {
+    const wrongAttempts = Math.max(0, attempts - partsSolved - (solved ? 1 : 0));
+    return wrongAttempts * WRONG_ATTEMPT_PENALTY_MS +
+        hintsUsed * HINT_PENALTY_MS +
+        (skipped ? SKIP_PENALTY_MS : 0);
+}
+
+// Record a correct answer to a part of the current riddle that is not its last
+export function solveSplitPart(run) {
+    run.partsSolved++;
+    run.partHintsUsed = 0;
+}
+
+// Finish the current split and move to the next riddle; returns the split
+// Split: { riddleId, rawMs, penaltyMs, timeMs, attempts, hintsUsed, partsSolved, solved, skipped }
+export function finishSplit(run, { solved }, now = Date.now()) {
+    const rawMs = run.splitStartedAt === null ? 0 : now - run.splitStartedAt;
+    const stats = { attempts: run.attempts, hintsUsed: run.hintsUsed, partsSolved: run.partsSolved, solved, skipped: !solved };
+    const penaltyMs = splitPenaltyMs(stats);
+    const split = { riddleId: getRunRiddleId(run), rawMs, penaltyMs, timeMs: rawMs + penaltyMs, ...stats };
+
+    run.splits.push(split);
+    run.index++;
+    run.splitStartedAt = null;
+    run.attempts = 0;
+    run.hintsUsed = 0;
+    run.partsSolved = 0;
+    run.partHintsUsed = 0;
+    return split;
+}
+
+export function isRunFinished(run) {
+    return run.index >= run.riddleIds.length;
+}
+
+// Run time so far: finished splits plus the live split, penalties included
+export function getRunElapsedMs(run, now = Date.now()) {
+    const finished = run.splits.reduce((sum, split) => sum + split.timeMs, 0);
+    if (isRunFinished(run) || run.splitStartedAt === null) return finished;
+    const live = now - run.splitStartedAt + splitPenaltyMs({ attempts: run.attempts, hintsUsed: run.hintsUsed, partsSolved: run.partsSolved, solved: false, skipped: false });
+    return finished + live;
+}
+
+// Difference between a split and the personal best for that riddle, or null if there is none
+export function getSplitDelta(records, split) {
+    const best = records.bestSplits[split.riddleId];
+    return best === undefined ? null : split.timeMs - best;
+}
+
+// Save a finished or abandoned run and update personal bests
+// Returns { records, newBestTotal, newBestSplits: [riddleId] }
+export function saveRun(run, profileId) {
+    const records = loadSpeedrunRecords(profileId);
+    const completed = isRunFinished(run);
+    const totalMs = run.splits.reduce((sum, split) => sum + split.timeMs, 0);
+
+    // Only solved splits count as bests, so skipping cannot set a record
+    const newBestSplits = [];
+    run.splits.forEach((split) => {
+        const best = records.bestSplits[split.riddleId];
+        if (split.solved && (best === undefined || split.timeMs < best)) {
+            records.bestSplits[split.riddleId] = split.timeMs;
+            newBestSplits.push(split.riddleId);
+        }
+    });
+
+    const newBestTotal = completed && (records.bestTotalMs === null || totalMs < records.bestTotalMs);
+    if (newBestTotal) {
+        records.bestTotalMs = totalMs;
+    }
+
+    records.runs.unshift({
+        startedAt: run.startedAt,
+        finishedAt: Date.now(),
+        completed,
+        totalMs,
+        riddleCount: run.riddleIds.length,
+        splits: run.splits
+    });
+    records.runs = records.runs.slice(0, MAX_SAVED_RUNS);
+
+    saveSpeedrunRecords(records, profileId);
+    return { records, newBestTotal, newBestSplits };
+}
+
+// Format a run time as m:ss.s (or h:mm:ss.s)
+export function formatClock(ms) {
+    const tenths = Math.floor(ms / 100) % 10;
+    const totalSeconds = Math.floor(ms / 1000);
+    const seconds = totalSeconds % 60;
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const hours = Math.floor(totalSeconds / 3600);
+    return `${hours ? `${hours}:${String(minutes).padStart(2, '0')}` : minutes}:${String(seconds).padStart(2, '0')}.${tenths}`;
+}
+
+// Format a penalty without tenths, e.g. "0:30" or "2:00"
+export function formatPenalty(ms) {
+    return formatClock(ms).replace(/\.0$/, '');
+}
+
+// Format a split delta against the personal best, e.g. "-0:04.2" or "+1:10.0"
+export function formatDelta(ms) {
+    if (ms === null) return '–';
+    return `${ms <= 0 ? '-' : '+'}${formatClock(Math.abs(ms))}`;
+}
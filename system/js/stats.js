@@ -0,0 +1,150 @@
+// Player Statistics
+// Aggregates riddleProgress into dashboard stats and draws the per-riddle chart
+
+import { formatDuration } from './scoring.js';
+import { t } from './i18n.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Status of a single riddle: 'solved', 'gave-up', 'in-progress' or 'unplayed'
+// A riddle solved after giving up counts as solved, as the riddle selector shows it
+export function getRiddleStatus(progress) {
+    if (progress.solved) return 'solved';
+    if (progress.gaveUp) return 'gave-up';
+    if (progress.attempts > 0 || progress.hintsUsed > 0) return 'in-progress';
+    return 'unplayed';
+}
+
+// Time from first opening a riddle to solving it, or null
+function solveTime(progress) {
+    if (!progress.solved || !progress.startedAt || !progress.solvedAt) return null;
+    return progress.solvedAt - progress.startedAt;
+}
+
+// Consecutive clean solves (no give-up), counting back from the most recently finished riddle
+function currentStreak(entries) {
+    const finished = entries
+        .map(({ progress }) => {
+            if (progress.gaveUp) return { at: progress.gaveUpAt || 0, clean: false };
+            if (progress.solved) return { at: progress.solvedAt || 0, clean: true };
+            return null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.at - a.at);
+
+    let streak = 0;
+    for (const event of finished) {
+        if (!event.clean) break;
+        streak++;
+    }
+    return streak;
+}
+
+// Compute dashboard stats from the registry metadata and saved progress
+export function computeStats(riddles, riddleProgress) {
+    const entries = riddles.map(riddle => ({
+        riddle,
+        progress: { attempts: 0, solved: false, hintsUsed: 0, ...riddleProgress[riddle.id] }
+    }));
+
+    const perRiddle = entries.map(({ riddle, progress }) => ({
+        id: riddle.id,
+        title: riddle.title,
+        status: getRiddleStatus(progress),
+        attempts: progress.attempts,
+        hintsUsed: progress.hintsUsed,
+        timeMs: progress.gaveUp ? null : solveTime(progress),
+        bestScore: progress.bestScore || 0
+    }));
+
+    const solved = perRiddle.filter(r => r.status === 'solved');
+    const gaveUp = perRiddle.filter(r => r.status === 'gave-up');
+    const finishedCount = solved.length + gaveUp.length;
+
+    const timed = solved.filter(r => r.timeMs !== null);
+    const fastest = timed.reduce((best, r) => (!best || r.timeMs < best.timeMs ? r : best), null);
+
+    return {
+        total: perRiddle.length,
+        solved: solved.length,
+        unsolved: perRiddle.length - solved.length,
+        averageAttempts: solved.length
+            ? solved.reduce((sum, r) => sum + r.attempts, 0) / solved.length
+            : 0,
+        giveUpRate: finishedCount ? gaveUp.length / finishedCount : 0,
+        hintsUsed: perRiddle.reduce((sum, r) => sum + r.hintsUsed, 0),
+        fastestSolve: fastest,
+        currentStreak: currentStreak(entries),
+        perRiddle
+    };
+}
+
+function svgElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+// Draw a bar chart of attempts per riddle into an <svg> element
+export function renderAttemptsChart(svg, perRiddle) {
+    const width = 460;
+    const height = 160;
+    const padding = { top: 16, right: 8, bottom: 24, left: 28 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const maxAttempts = Math.max(1, ...perRiddle.map(r => r.attempts));
+    const slot = chartWidth / Math.max(1, perRiddle.length);
+    const barWidth = Math.min(40, slot * 0.7);
+
+    svg.innerHTML = '';
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', t('stats.chartLabel'));
+
+    // Axis
+    svg.appendChild(svgElement('line', {
+        x1: padding.left, y1: padding.top + chartHeight,
+        x2: width - padding.right, y2: padding.top + chartHeight,
+        class: 'stats-axis'
+    }));
+    const maxLabel = svgElement('text', { x: padding.left - 6, y: padding.top + 4, class: 'stats-axis-label', 'text-anchor': 'end' });
+    maxLabel.textContent = maxAttempts;
+    svg.appendChild(maxLabel);
+
+    perRiddle.forEach((riddle, index) => {
+        const barHeight = (riddle.attempts / maxAttempts) * chartHeight;
+        const x = padding.left + index * slot + (slot - barWidth) / 2;
+        const y = padding.top + chartHeight - barHeight;
+
+        const bar = svgElement('rect', {
+            x, y, width: barWidth, height: Math.max(barHeight, 1),
+            rx: 3,
+            class: `stats-bar ${riddle.status}`
+        });
+        const title = svgElement('title', {});
+        title.textContent = t('stats.chartBar', { title: riddle.title, attempts: t('count.attempts', { count: riddle.attempts }) });
+        bar.appendChild(title);
+        svg.appendChild(bar);
+
+        const label = svgElement('text', {
+            x: x + barWidth / 2, y: height - 8,
+            class: 'stats-axis-label', 'text-anchor': 'middle'
+        });
+        label.textContent = index + 1;
+        svg.appendChild(label);
+    });
+}
+
+// Format a stats value for the summary cards
+export function formatStat(stats, key) {
+    switch (key) {
+        case 'averageAttempts':
+            return stats.averageAttempts ? stats.averageAttempts.toFixed(1) : '–';
+        case 'giveUpRate':
+            return `${Math.round(stats.giveUpRate * 100)}%`;
+        case 'fastestSolve':
+            return stats.fastestSolve ? formatDuration(stats.fastestSolve.timeMs) : '–';
+        default:
+            return `${stats[key]}`;
+    }
+}
@@ -0,0 +1,276 @@
+// Progress Storage
+// Versioned progress persistence with a chain of migrations.
+// IndexedDB is the primary store; localStorage is used when IndexedDB is unavailable.
+//
+// Stored record: { version, riddles: { [riddleId]: progress }, currentRiddleIndex }
+// Each player profile has its own record; the default profile keeps the original keys.
+// A record saved by a newer version of the game is never overwritten: its profile is read-only
+// until the game is updated.
+
+const DB_NAME = 'gatekeeper-riddle';
+const DB_VERSION = 1;
+const DB_STORE = 'progress';
+const RECORD_KEY = 'progress';
+
+const LOCAL_RECORD_KEY = 'gatekeeperProgress';
+const DEFAULT_PROFILE_ID = 'default';
+
+// Pre-versioning keys written by earlier releases of the game
+const LEGACY_PROGRESS_KEY = 'riddleProgress';
+const LEGACY_INDEX_KEY = 'currentRiddleIndex';
+
+export const PROGRESS_VERSION = 2;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Migrations, keyed by the version they upgrade from
+const MIGRATIONS = {
+    // v0 -> v1: wrap the legacy riddleProgress map and currentRiddleIndex into one record
+    0: (legacy) => ({
+        riddles: isPlainObject(legacy.riddles) ? legacy.riddles : {},
+        currentRiddleIndex: legacy.currentRiddleIndex
+    }),
+
+    // v1 -> v2: drop malformed riddle entries and fill in fields added since (hint usage, give-ups)
+    1: (record) => {
+        const riddles = {};
+        for (const [id, entry] of Object.entries(record.riddles || {})) {
+            if (!isPlainObject(entry)) {
+                console.warn(`Dropping malformed progress for riddle "${id}"`);
+                continue;
+            }
+            riddles[id] = {
+                ...entry,
+                attempts: Number.isInteger(entry.attempts) && entry.attempts >= 0 ? entry.attempts : 0,
+                solved: entry.solved === true,
+                hintsUsed: Number.isInteger(entry.hintsUsed) && entry.hintsUsed >= 0 ? entry.hintsUsed : 0,
+                gaveUp: entry.gaveUp === true
+            };
+        }
+        return { ...record, riddles };
+    }
+};
+
+// Run every migration from the record's version up to PROGRESS_VERSION
+export function migrateProgress(record) {
+    let version = Number.isInteger(record.version) ? record.version : 0;
+    if (version > PROGRESS_VERSION) {
+        throw new Error(`Progress was saved by a newer version of the game (v${version})`);
+    }
+
+    let data = record;
+    while (version < PROGRESS_VERSION) {
+        data = MIGRATIONS[version](data);
+        version++;
+    }
+
+    const index = Number.isInteger(data.currentRiddleIndex) && data.currentRiddleIndex >= 0 ? data.currentRiddleIndex : 0;
+    return { version, riddles: data.riddles || {}, currentRiddleIndex: index };
+}
+
+// Parse a JSON string, keeping a backup of anything unreadable instead of discarding it
+function parseStored(key, text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        console.error(`Stored value "${key}" is malformed; keeping a backup and starting fresh:`, e);
+        localStorage.setItem(`${key}.corrupt-${Date.now()}`, text);
+        return null;
+    }
+}
+
+// Read progress saved by releases before the storage layer existed (version 0)
+function readLegacyProgress() {
+    const saved = localStorage.getItem(LEGACY_PROGRESS_KEY);
+    const index = localStorage.getItem(LEGACY_INDEX_KEY);
+    if (saved === null && index === null) {
+        return null;
+    }
+    return {
+        version: 0,
+        riddles: saved !== null ? parseStored(LEGACY_PROGRESS_KEY, saved) : {},
+        currentRiddleIndex: index !== null ? parseInt(index, 10) : 0
+    };
+}
+
+function clearLegacyProgress() {
+    localStorage.removeItem(LEGACY_PROGRESS_KEY);
+    localStorage.removeItem(LEGACY_INDEX_KEY);
+}
+
+// Wrap an IndexedDB request in a promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DB_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another tab'));
+    });
+}
+
+// Storage key for a profile's record, e.g. 'progress' or 'progress:p-abc123'
+function profileKey(baseKey, profileId) {
+    return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+}
+
+// Resolve once a readwrite transaction has committed
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// IndexedDB backend
+function createIndexedDBBackend(db) {
+    return {
+        name: 'indexeddb',
+        async read(profileId) {
+            const store = db.transaction(DB_STORE, 'readonly').objectStore(DB_STORE);
+            return (await requestToPromise(store.get(profileKey(RECORD_KEY, profileId)))) || null;
+        },
+        async write(profileId, record) {
+            const transaction = db.transaction(DB_STORE, 'readwrite');
+            transaction.objectStore(DB_STORE).put(record, profileKey(RECORD_KEY, profileId));
+            await transactionDone(transaction);
+        },
+        async remove(profileId) {
+            const transaction = db.transaction(DB_STORE, 'readwrite');
+            transaction.objectStore(DB_STORE).delete(profileKey(RECORD_KEY, profileId));
+            await transactionDone(transaction);
+        }
+    };
+}
+
+// localStorage backend
+function createLocalStorageBackend() {
+    return {
+        name: 'localstorage',
+        async read(profileId) {
+            const key = profileKey(LOCAL_RECORD_KEY, profileId);
+            const saved = localStorage.getItem(key);
+            return saved !== null ? parseStored(key, saved) : null;
+        },
+        async write(profileId, record) {
+            localStorage.setItem(profileKey(LOCAL_RECORD_KEY, profileId), JSON.stringify(record));
+        },
+        async remove(profileId) {
+            localStorage.removeItem(profileKey(LOCAL_RECORD_KEY, profileId));
+        }
+    };
+}
+
+let backendPromise = null;
+let writeQueue = Promise.resolve();
+const readOnlyProfiles = new Set(); // Profiles whose stored record is newer than PROGRESS_VERSION
+
+// Pick the storage backend once: IndexedDB if it opens, otherwise localStorage
+function getBackend() {
+    if (!backendPromise) {
+        backendPromise = openDatabase()
+            .then(createIndexedDBBackend)
+            .catch((error) => {
+                console.warn('Falling back to localStorage for progress:', error.message);
+                return createLocalStorageBackend();
+            });
+    }
+    return backendPromise;
+}
+
+// Load a profile's progress, migrating older records (including pre-versioning localStorage data)
+// Returns { version, riddles, currentRiddleIndex, readOnly }
+// A record from a newer version is returned as far as it can be read, with readOnly set, and later
+// saves for the profile are refused so the stored record stays as it is
+export async function loadProgressRecord(profileId = DEFAULT_PROFILE_ID) {
+    const backend = await getBackend();
+    let stored = null;
+    try {
+        stored = await backend.read(profileId);
+    } catch (error) {
+        console.error('Failed to read stored progress:', error);
+    }
+
+    if (stored && Number.isInteger(stored.version) && stored.version > PROGRESS_VERSION) {
+        console.warn(`Progress was saved by a newer version of the game (v${stored.version}); not saving changes`);
+        readOnlyProfiles.add(profileId);
+        const index = Number.isInteger(stored.currentRiddleIndex) && stored.currentRiddleIndex >= 0 ? stored.currentRiddleIndex : 0;
+        return {
+            version: stored.version,
+            riddles: isPlainObject(stored.riddles) ? JSON.parse(JSON.stringify(stored.riddles)) : {},
+            currentRiddleIndex: index,
+            readOnly: true
+        };
+    }
+    readOnlyProfiles.delete(profileId);
+
+    // Only the default profile can have progress from before the storage layer existed
+    const legacy = !stored && profileId === DEFAULT_PROFILE_ID ? readLegacyProgress() : null;
+    const fromLegacy = Boolean(legacy);
+    const record = migrateProgress(stored || legacy || { version: PROGRESS_VERSION, riddles: {} });
+
+    // Persist migrated data right away so the migration only runs once
+    if (stored ? stored.version !== PROGRESS_VERSION : fromLegacy) {
+        const saved = await saveProgressRecord(profileId, record);
+        if (saved && fromLegacy) {
+            clearLegacyProgress();
+        }
+    }
+    return { ...record, readOnly: false };
+}
+
+// Whether a profile's progress is read-only because it was saved by a newer version of the game
+export function isProgressReadOnly(profileId = DEFAULT_PROFILE_ID) {
+    return readOnlyProfiles.has(profileId);
+}
+
+// Save a profile's progress; writes are queued so they land in the order they were made
+// Resolves to true once written, or false if the write failed or the profile is read-only
+export function saveProgressRecord(profileId, { riddles, currentRiddleIndex }) {
+    if (readOnlyProfiles.has(profileId)) {
+        return Promise.resolve(false);
+    }
+    const record = {
+        version: PROGRESS_VERSION,
+        riddles: JSON.parse(JSON.stringify(riddles)),
+        currentRiddleIndex
+    };
+    writeQueue = writeQueue
+        .then(() => getBackend())
+        .then(backend => backend.write(profileId, record))
+        .then(() => true)
+        .catch((error) => {
+            console.error('Failed to save progress:', error);
+            return false;
+        });
+    return writeQueue;
+}
+
+// Delete a profile's stored progress (queued behind any pending writes)
+export function deleteProgressRecord(profileId) {
+    writeQueue = writeQueue
+        .then(() => getBackend())
+        .then(backend => backend.remove(profileId))
+        .then(() => true)
+        .catch((error) => {
+            console.error('Failed to delete progress:', error);
+            return false;
+        });
+    return writeQueue;
+}
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'gatekeeper-riddle-v6';
+const CACHE_NAME = 'gatekeeper-riddle-v28';
 
 // Get the base path for the application
 // This handles both root deployment and GitHub Pages project deployment
@@ -22,8 +22,32 @@ const urlsToCache = [
   `${BASE_PATH}/system/storage/manifest.json`,
   `${BASE_PATH}/system/css/game.css`,
   `${BASE_PATH}/system/js/game.js`,
+  `${BASE_PATH}/system/js/matcher.js`,
+  `${BASE_PATH}/system/js/answer-crypto.js`,
+  `${BASE_PATH}/system/js/scoring.js`,
+  `${BASE_PATH}/system/js/stats.js`,
+  `${BASE_PATH}/system/js/daily.js`,
+  `${BASE_PATH}/system/js/router.js`,
+  `${BASE_PATH}/system/js/progress-file.js`,
+  `${BASE_PATH}/system/js/storage.js`,
+  `${BASE_PATH}/system/js/sync.js`,
+  `${BASE_PATH}/system/js/profiles.js`,
+  `${BASE_PATH}/system/js/party.js`,
+  `${BASE_PATH}/system/js/speedrun.js`,
+  `${BASE_PATH}/system/js/riddle-filter.js`,
+  `${BASE_PATH}/system/js/choices.js`,
+  `${BASE_PATH}/system/js/i18n.js`,
+  `${BASE_PATH}/system/js/speech.js`,
+  `${BASE_PATH}/system/js/voice-input.js`,
+  `${BASE_PATH}/system/js/shortcuts.js`,
+  `${BASE_PATH}/system/js/command-palette.js`,
+  `${BASE_PATH}/system/js/dialogs.js`,
+  `${BASE_PATH}/system/js/announcer.js`,
+  `${BASE_PATH}/system/js/locales/en.js`,
+  `${BASE_PATH}/system/js/locales/es.js`,
   `${BASE_PATH}/system/storage/icon.logo.png`,
   `${BASE_PATH}/system/riddles/riddles.js`,
+  `${BASE_PATH}/system/riddles/riddles.manifest.json`,
   `${BASE_PATH}/system/riddles/gatekeeper.riddle.js`,
   `${BASE_PATH}/system/riddles/mirror.riddle.js`
 ];
@@ -56,8 +80,34 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// The riddle manifest changes whenever a riddle is added, so prefer the network for it
+// and only fall back to the cached copy when offline
+const isRiddleManifest = (request) => new URL(request.url).pathname.endsWith('/riddles/riddles.manifest.json');
+
+// Authenticated API calls (GitHub requests, progress sync) must always hit the network
+const isAuthenticatedRequest = (request) => request.headers.has('Authorization');
+
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', (event) => {
+  if (isAuthenticatedRequest(event.request)) {
+    return;
+  }
+
+  if (isRiddleManifest(event.request)) {
+    event.respondWith(
+      fetch(event.request)
+        .then((response) => {
+          if (response && response.ok) {
+            const responseToCache = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(event.request, responseToCache));
+          }
+          return response;
+        })
+        .catch(() => caches.match(event.request))
+    );
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then((response) => {
@@ -0,0 +1,199 @@
+// Progress Sync
+// Keeps riddleProgress in a private GitHub Gist so logged-in players can continue on another device.
+// The gist is found by its description (and its id cached locally); remote and local progress
+// are merged per riddle, keeping the best result for each.
+
+import { getGitHubToken, isAuthenticated } from './auth.js';
+import { mergeRiddleProgress, pickValidRiddleProgress } from './progress-file.js';
+
+const DEFAULT_API_BASE = 'https://api.github.com';
+const GIST_DESCRIPTION = 'The Gatekeeper\'s Riddle - progress sync';
+const GIST_FILE_NAME = 'gatekeeper-progress.json';
+const GIST_FILE_FORMAT = 'gatekeeper-progress-sync';
+const GIST_ID_KEY = 'progressGistId';
+const API_BASE_KEY = 'syncApiBase';
+const REQUEST_TIMEOUT_MS = 8000;
+const PUSH_DELAY_MS = 3000;
+
+let apiBase = DEFAULT_API_BASE;
+let pushTimer = null;
+let pendingPush = null;
+
+// Whether a URL can receive the player's token: HTTPS, or plain HTTP to this machine (a stub server)
+function isAllowedApiBase(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return protocol === 'https:' || (protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(hostname));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Point the module at a different GitHub API (e.g. GitHub Enterprise or a local stub server) and
+// remember it on this device; a null url goes back to api.github.com
+// Returns false (and changes nothing) for a URL that is not HTTPS or a local HTTP server
+export function setSyncApiBase(url) {
+    if (url && !isAllowedApiBase(url)) return false;
+    apiBase = (url || DEFAULT_API_BASE).replace(/\/+$/, '');
+    if (url) {
+        localStorage.setItem(API_BASE_KEY, apiBase);
+    } else {
+        localStorage.removeItem(API_BASE_KEY);
+    }
+    return true;
+}
+
+// Use the API base saved on this device, if any
+// (set it with localStorage.setItem('syncApiBase', 'http://localhost:3000') to test against a stub)
+export function loadSyncApiBase() {
+    const saved = localStorage.getItem(API_BASE_KEY);
+    apiBase = saved && isAllowedApiBase(saved) ? saved.replace(/\/+$/, '') : DEFAULT_API_BASE;
+}
+
+// Whether sync can run: the player is logged in with a token
+export function isSyncAvailable() {
+    return isAuthenticated();
+}
+
+// Call the GitHub API; throws an Error carrying the HTTP status on failure
+async function githubRequest(path, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(`${apiBase}${path}`, {
+            ...options,
+            signal: controller.signal,
+            headers: {
+                'Authorization': `Bearer ${getGitHubToken()}`,
+                'Accept': 'application/vnd.github+json',
+                ...(options.body ? { 'Content-Type': 'application/json' } : {})
+            }
+        });
+
+        if (!response.ok) {
+            let message = `GitHub API request failed (${response.status})`;
+            try {
+                const errorData = await response.json();
+                message = errorData.message || message;
+            } catch (e) {
+                // ignore JSON parse errors
+            }
+            const error = new Error(message);
+            error.status = response.status;
+            throw error;
+        }
+        return response.status === 204 ? null : response.json();
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Find the sync gist: the cached id first, then by description in the player's gists
+async function findProgressGist() {
+    const cachedId = localStorage.getItem(GIST_ID_KEY);
+    if (cachedId) {
+        try {
+            return await githubRequest(`/gists/${encodeURIComponent(cachedId)}`);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            localStorage.removeItem(GIST_ID_KEY);
+        }
+    }
+
+    for (let page = 1; ; page++) {
+        const gists = await githubRequest(`/gists?per_page=100&page=${page}`);
+        const match = gists.find(gist => gist.description === GIST_DESCRIPTION && gist.files && gist.files[GIST_FILE_NAME]);
+        if (match) {
+            localStorage.setItem(GIST_ID_KEY, match.id);
+            // The list endpoint omits file contents, so fetch the full gist
+            return githubRequest(`/gists/${encodeURIComponent(match.id)}`);
+        }
+        if (gists.length < 100) return null;
+    }
+}
+
+// Read the riddleProgress map stored in a gist
+// Entries that are malformed (or try to set __proto__) are dropped, as an import would reject them
+async function readGistProgress(gist) {
+    const file = gist.files && gist.files[GIST_FILE_NAME];
+    if (!file) return {};
+
+    let content = file.content;
+    if (file.truncated && file.raw_url) {
+        const response = await fetch(file.raw_url);
+        content = await response.text();
+    }
+
+    try {
+        const data = JSON.parse(content);
+        return data && data.format === GIST_FILE_FORMAT ? pickValidRiddleProgress(data.riddleProgress) : {};
+    } catch (e) {
+        console.warn('Synced progress gist is malformed; it will be overwritten:', e);
+        return {};
+    }
+}
+
+function gistFiles(riddleProgress) {
+    return {
+        [GIST_FILE_NAME]: {
+            content: JSON.stringify({
+                format: GIST_FILE_FORMAT,
+                updatedAt: new Date().toISOString(),
+                riddleProgress
+            }, null, 2)
+        }
+    };
+}
+
+// Fetch progress from the sync gist and merge it into the local progress
+// Returns the merged map, or the local map unchanged if there is no gist yet
+export async function pullProgress(localProgress) {
+    const gist = await findProgressGist();
+    if (!gist) return localProgress;
+    return mergeRiddleProgress(localProgress, await readGistProgress(gist));
+}
+
+// Merge local progress into the sync gist, creating the private gist on first push
+export async function pushProgress(localProgress) {
+    const gist = await findProgressGist();
+    if (!gist) {
+        const created = await githubRequest('/gists', {
+            method: 'POST',
+            body: JSON.stringify({
+                description: GIST_DESCRIPTION,
+                public: false,
+                files: gistFiles(localProgress)
+            })
+        });
+        localStorage.setItem(GIST_ID_KEY, created.id);
+        return;
+    }
+
+    const merged = mergeRiddleProgress(await readGistProgress(gist), localProgress);
+    await githubRequest(`/gists/${encodeURIComponent(gist.id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ files: gistFiles(merged) })
+    });
+}
+
+// Push progress shortly after it changes, batching quick successive changes into one request
+export function schedulePush(localProgress) {
+    if (!isSyncAvailable()) return;
+
+    pendingPush = JSON.parse(JSON.stringify(localProgress));
+    clearTimeout(pushTimer);
+    pushTimer = setTimeout(() => {
+        const progress = pendingPush;
+        pendingPush = null;
+        pushProgress(progress).catch((error) => {
+            console.warn('Failed to sync progress:', error.message);
+        });
+    }, PUSH_DELAY_MS);
+}
+
+// Forget the cached gist id (e.g. on logout, so another account does not reuse it)
+export function clearSyncState() {
+    clearTimeout(pushTimer);
+    pendingPush = null;
+    localStorage.removeItem(GIST_ID_KEY);
+}
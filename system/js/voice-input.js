@@ -0,0 +1,91 @@
+// Voice Answers
+// Lets players speak a guess with the Web Speech API (SpeechRecognition, prefixed as
+// webkitSpeechRecognition in Chrome and Safari). The recognizer offers several alternative
+// transcripts of what it heard; each is graded by the answer matcher and the best one becomes the
+// guess, so a misheard word can still count. Not every browser has it: check isVoiceInputAvailable().
+
+import { matchStrength } from './matcher.js';
+
+const MAX_ALTERNATIVES = 5;
+
+let recognition = null; // Recognizer that is listening now
+
+function getRecognitionClass() {
+    if (typeof window === 'undefined') return null;
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+export function isVoiceInputAvailable() {
+    return getRecognitionClass() !== null;
+}
+
+export function isListening() {
+    return recognition !== null;
+}
+
+// Listen for one spoken guess in a language, stopping any earlier listening first
+// onInterim(text) gets the words heard so far, onResult(transcripts) the alternatives for what was
+// said (most likely first), onError(code) a SpeechRecognitionErrorEvent error code, and onEnd()
+// is called once listening stops for any reason
+export function startListening({ locale, onInterim = () => {}, onResult, onError = () => {}, onEnd = () => {} }) {
+    stopListening();
+    const Recognition = getRecognitionClass();
+    if (!Recognition) return false;
+
+    const recognizer = new Recognition();
+    recognizer.lang = locale;
+    recognizer.interimResults = true;
+    recognizer.maxAlternatives = MAX_ALTERNATIVES;
+    recognizer.continuous = false;
+
+    recognizer.onresult = (event) => {
+        const results = Array.from(event.results);
+        const final = results.find(result => result.isFinal);
+        if (final) {
+            const transcripts = Array.from(final, alternative => alternative.transcript.trim()).filter(Boolean);
+            if (transcripts.length > 0) onResult(transcripts);
+        } else {
+            onInterim(results.map(result => result[0].transcript).join('').trim());
+        }
+    };
+    recognizer.onerror = event => onError(event.error);
+    recognizer.onend = () => {
+        if (recognition === recognizer) {
+            recognition = null;
+        }
+        onEnd();
+    };
+
+    recognition = recognizer;
+    try {
+        recognizer.start();
+    } catch (error) {
+        console.error('Failed to start speech recognition:', error);
+        recognition = null;
+        return false;
+    }
+    return true;
+}
+
+// Stop listening without taking a guess
+export function stopListening() {
+    const recognizer = recognition;
+    recognition = null;
+    if (recognizer) {
+        recognizer.abort();
+    }
+}
+
+// The transcript that grades best, as { transcript, result }; grade(transcript) returns a matcher
+// result or a promise of one. On equal grades the recognizer's more likely transcript wins.
+export async function pickBestTranscript(transcripts, grade) {
+    let best = null;
+    for (const transcript of transcripts) {
+        const result = await grade(transcript);
+        const strength = matchStrength(result);
+        if (!best || strength > best.strength) {
+            best = { transcript, result, strength };
+        }
+    }
+    return best && { transcript: best.transcript, result: best.result };
+}
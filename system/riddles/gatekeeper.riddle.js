@@ -52,5 +52,7 @@ when names are newer than the song?`,
     wrongAnswerFeedback: 'Not quite. Think deeper about what reflects us back...',
     closeAnswerFeedback: 'You\'re getting warm... but not quite there.',
     explanation: 'We\'re building with tools that reflect us back to ourselves, gatekeepers with no inheritance, holding keys made of rust.',
-    answer: 'GitHub Code Agents Model Identity'
+    answer: 'GitHub Code Agents Model Identity',
+    difficulty: 'hard',
+    tags: ['ai', 'identity', 'technology']
 };
@@ -41,5 +41,53 @@ yet I'm the one who disappears.`,
     wrongAnswerFeedback: 'Not quite. Think about what reflects without thinking...',
     closeAnswerFeedback: 'You\'re close! Consider the dual nature of reflection.',
     explanation: 'Like a mirror or an algorithm, it reflects without understanding, serves without consciousness.',
-    answer: 'An Algorithm\'s Reflection'
+    answer: 'An Algorithm\'s Reflection',
+    difficulty: 'medium',
+    tags: ['ai', 'reflection', 'technology'],
+    locales: {
+        es: {
+            title: 'La paradoja del espejo',
+            text: `Te muestro todo menos a mí,
+hablo en silencio, sin fin.
+Sostengo tu rostro sin tener mano,
+sigo reglas que no entiendo en vano.
+
+¿Qué soy, que sé lo que te hace falta,
+pero no pienso ni leo una carta?
+Te doy respuestas, rápidas y claras,
+y sin embargo soy yo quien se separa.`,
+            correctAnswers: [
+                'reflejo',
+                'espejo',
+                'algoritmo',
+                'codigo',
+                'programa',
+                'software',
+                'api',
+                'interfaz'
+            ],
+            closeAnswers: [
+                'computadora',
+                'ordenador',
+                'maquina',
+                'herramienta',
+                'asistente',
+                'funcion',
+                'metodo',
+                'sistema'
+            ],
+            hints: [
+                'Piensa en algo que sigue reglas sin entenderlas',
+                'Algo que lo muestra todo excepto a sí mismo',
+                'Da respuestas pero no tiene conciencia',
+                'Es algo que refleja pero no existe físicamente',
+                'La respuesta tiene que ver con los espejos y con el código',
+                '¿Qué te sirve en silencio y desaparece cuando no lo necesitas?'
+            ],
+            wrongAnswerFeedback: 'No exactamente. Piensa en lo que refleja sin pensar...',
+            closeAnswerFeedback: '¡Casi! Piensa en la doble naturaleza del reflejo.',
+            explanation: 'Como un espejo o un algoritmo, refleja sin entender y sirve sin conciencia.',
+            answer: 'El reflejo de un algoritmo'
+        }
+    }
 };
@@ -16,11 +16,49 @@
  * - explanation: Brief explanation of the answer
  * - answer: The official answer to display when solved/given up
  * 
+ * OPTIONAL FIELDS:
+ * - hintUnlockAttempts: Wrong attempts required before each further hint can be revealed (default 0)
+ * - difficulty: One of 'easy', 'medium', 'hard' or 'expert'
+ * - tags: Array of lowercase tags for filtering (e.g., ['philosophy', 'time'])
+ * - author: Who wrote or curated the riddle
+ * - source: Where the riddle comes from (e.g., 'Original' or a URL)
+ * - date: Date the riddle was added, as YYYY-MM-DD
+ * - choices: 2-6 options shown in multiple-choice mode, exactly one of them correct. Without it,
+ *   choices are made from the answer, closeAnswers and other riddles' answers (protected riddles
+ *   need it to offer multiple choice). Parts can have their own choices.
+ * - requires: Ids of riddles that must be solved before this one unlocks (e.g., a final
+ *   meta-riddle whose clues are fragments hidden in the explanations of the riddles it requires)
+ * 
+ * MULTI-PART RIDDLES (optional):
+ * A riddle that asks several questions can list them in `parts`, which players answer in order.
+ * Each part has its own prompt, answer, correctAnswers, closeAnswers and hints (2+ per part), and
+ * may override wrongAnswerFeedback and closeAnswerFeedback. A riddle with parts leaves out its own
+ * correctAnswers, closeAnswers and hints; its answer and explanation are shown once every part is
+ * solved. See the commented-out example below. Protected riddles cannot have parts.
+ * 
+ * TRANSLATIONS (optional):
+ * `locales` maps a language code from system/js/i18n.js (e.g. 'es') to translated fields: title,
+ * text, hints (same number as the English ones), feedback, explanation, answer and choices. Give
+ * correctAnswers and closeAnswers together to match guesses in that language; otherwise guesses are
+ * matched against the English answers. A riddle with parts translates their prompts, hints and
+ * answers in `parts`, one entry per part in the same order. Protected riddles can only translate
+ * their title, text, hints and feedback. Anything left out is shown in English.
+ * 
  * USAGE:
  * 1. Copy this file to a new file: {name}.riddle.js
  * 2. Fill in all fields
- * 3. Import and add to riddles.js registry
- * 4. Test thoroughly with various answers
+ * 3. Run `node system/scripts/build-riddle-manifest.mjs` to add it to riddles.manifest.json
+ * 4. Run `node system/scripts/validate-riddles.mjs` and fix any errors
+ * 5. Test thoroughly with various answers
+ * 
+ * PROTECTED RIDDLES (optional):
+ * To keep the solution out of the shipped JS, run
+ *   node system/scripts/protect-riddle.mjs system/riddles/{name}.riddle.js
+ * This replaces correctAnswers, closeAnswers, answer and explanation with a
+ * `protected` block of salted answer hashes and an encrypted solution.
+ * Translated answers in `locales` are hashed and encrypted too; translated choices are
+ * dropped, since a protected riddle only offers choices in English.
+ * Protected riddles only accept exact (normalized) answers, without typo tolerance.
  */
 
 export const riddle = {
@@ -61,12 +99,62 @@ Make it mysterious and thought-provoking!`,
         'Sixth hint - final nudge in the right direction'
     ],
     
+    // Optional: wrong attempts required before each further hint unlocks
+    // (0 or omitted = hints can be revealed at any time)
+    hintUnlockAttempts: 0,
+    
+    // Optional metadata shown and filterable in the riddle selector
+    difficulty: 'medium', // 'easy', 'medium', 'hard' or 'expert'
+    tags: ['philosophy', 'identity'], // lowercase, hyphenated words
+    author: 'Your Name',
+    source: 'Original',
+    date: '2026-01-01', // YYYY-MM-DD
+    
+    // Optional: options for multiple-choice mode, exactly one of them correct
+    // choices: ['The Official Answer', 'A Related Concept', 'A Similar Idea', 'Something Else'],
+    
+    // Optional: stay locked until these riddles are solved (ids of other riddles)
+    // requires: ['gatekeeper', 'mirror'],
+    
     // Feedback message for wrong answers
     wrongAnswerFeedback: 'Not quite. Think about...',
     
     // Feedback message for close answers
     closeAnswerFeedback: 'You\'re getting warm! Consider...',
     
+    // Optional: ask several questions in order instead of one (replaces correctAnswers,
+    // closeAnswers and hints above)
+    // parts: [
+    //     {
+    //         prompt: 'Is he a king, or liar?',
+    //         answer: 'A Liar',
+    //         correctAnswers: ['liar', 'a liar'],
+    //         closeAnswers: ['fraud', 'impostor'],
+    //         hints: ['First hint for this part', 'Second hint for this part'],
+    //         closeAnswerFeedback: 'Optional feedback for this part only'
+    //     },
+    //     {
+    //         prompt: 'And who are you, to prove me wrong?',
+    //         answer: 'The Reader',
+    //         correctAnswers: ['reader', 'player'],
+    //         closeAnswers: ['human', 'person'],
+    //         hints: ['First hint for this part', 'Second hint for this part']
+    //     }
+    // ],
+    
+    // Optional: translations keyed by language code (anything left out stays in English)
+    // locales: {
+    //     es: {
+    //         title: 'El acertijo plantilla',
+    //         text: `Reemplaza esto con el texto del acertijo.`,
+    //         correctAnswers: ['respuesta correcta'],
+    //         closeAnswers: ['casi correcta'],
+    //         hints: ['Primera pista', 'Segunda pista', 'Tercera pista', 'Cuarta pista', 'Quinta pista', 'Sexta pista'],
+    //         explanation: 'Explica por qué esta es la respuesta.',
+    //         answer: 'La respuesta oficial'
+    //     }
+    // },
+    
     // Explanation shown after correct answer or giving up
     explanation: 'Explain why this is the answer and what it means.',
     
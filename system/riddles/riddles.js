@@ -1,35 +1,99 @@
 // Riddle Registry and Loader
 // This module manages all available riddles and provides loading functionality
+//
+// Riddles are discovered from riddles.manifest.json, which is generated by
+// system/scripts/build-riddle-manifest.mjs - there is no need to edit this file when adding a riddle.
+// The registry only holds lightweight metadata; each riddle module is imported on first use.
 
-// Import all riddles
-import { riddle as gatekeeperRiddle } from './gatekeeper.riddle.js';
-import { riddle as mirrorRiddle } from './mirror.riddle.js';
-import { riddle as the_paradox_of_progressRiddle } from './the-paradox-of-progress.riddle.js';
-import { riddle as the_river_that_remembersRiddle } from './the-river-that-remembers.riddle.js';
-import { riddle as the_archive_of_silenceRiddle } from './the-archive-of-silence.riddle.js';
-import { riddle as the_clockmakers_childRiddle } from './the-clockmakers-child.riddle.js';
-
-// Registry of all riddles
-export const riddles = [gatekeeperRiddle,
-    mirrorRiddle,
-    the_paradox_of_progressRiddle,
-    the_river_that_remembersRiddle,
-    the_archive_of_silenceRiddle,
-    the_clockmakers_childRiddle];
-
-// Get riddle by ID
-export function getRiddleById(id) {
-    return riddles.find(r => r.id === id);
+const MANIFEST_URL = new URL('./riddles.manifest.json', import.meta.url);
+
+// Difficulty levels a riddle can declare, easiest first
+export const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+// Registry metadata for all riddles: { id, title, titles, difficulty, tags, author, date, requires, file }
+// (titles holds translated titles by locale)
+// Empty until loadRegistry() resolves
+export let riddles = [];
+
+let registryPromise = null;
+
+// Full riddle modules, loaded or loading, by index
+const modulePromises = new Map();
+const loadedRiddles = new Map();
+
+// Fetch the manifest into the registry
+async function fetchManifest() {
+    const response = await fetch(MANIFEST_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load riddle manifest (${response.status})`);
+    }
+    const manifest = await response.json();
+    return manifest.riddles.map(entry => ({
+        id: entry.id,
+        title: entry.title,
+        titles: entry.titles || {},
+        difficulty: entry.difficulty || null,
+        tags: entry.tags || [],
+        author: entry.author || null,
+        date: entry.date || null,
+        requires: entry.requires || [],
+        file: entry.file
+    }));
 }
 
-// Get riddle by index
-export function getRiddleByIndex(index) {
+// Load the registry metadata once; later calls return the same promise
+export function loadRegistry() {
+    if (!registryPromise) {
+        registryPromise = fetchManifest()
+            .then((entries) => {
+                riddles = entries;
+                return riddles;
+            })
+            .catch((error) => {
+                registryPromise = null;
+                throw error;
+            });
+    }
+    return registryPromise;
+}
+
+// Import the full riddle module at an index (cached)
+function importRiddle(index) {
+    if (!modulePromises.has(index)) {
+        const entry = riddles[index];
+        const promise = import(new URL(`./${entry.file}`, import.meta.url))
+            .then((module) => {
+                loadedRiddles.set(index, module.riddle);
+                return module.riddle;
+            })
+            .catch((error) => {
+                modulePromises.delete(index);
+                throw error;
+            });
+        modulePromises.set(index, promise);
+    }
+    return modulePromises.get(index);
+}
+
+// Get registry metadata by index
+export function getRiddleMeta(index) {
     if (index >= 0 && index < riddles.length) {
         return riddles[index];
     }
     return null;
 }
 
+// Get riddle by ID (only if its module has already been loaded)
+export function getRiddleById(id) {
+    const index = getRiddleIndex(id);
+    return index === -1 ? undefined : loadedRiddles.get(index);
+}
+
+// Get riddle by index (only if its module has already been loaded)
+export function getRiddleByIndex(index) {
+    return loadedRiddles.get(index) || null;
+}
+
 // Get total number of riddles
 export function getRiddleCount() {
     return riddles.length;
@@ -39,3 +103,132 @@ export function getRiddleCount() {
 export function getRiddleIndex(id) {
     return riddles.findIndex(r => r.id === id);
 }
+
+// Registry entries of the riddles a riddle requires that are not solved yet
+// (the riddle is locked until this is empty; unknown ids never lock it)
+export function getMissingRequirements(meta, isSolved) {
+    return meta.requires
+        .filter(id => !isSolved(id))
+        .map(id => getRiddleMeta(getRiddleIndex(id)))
+        .filter(Boolean);
+}
+
+// Registry entries ordered so every riddle comes after the riddles it requires
+// (registry order otherwise)
+export function getRiddlesInUnlockOrder() {
+    const visited = new Set();
+    const ordered = [];
+    const visit = (meta) => {
+        if (!meta || visited.has(meta.id)) return;
+        visited.add(meta.id);
+        meta.requires.forEach(id => visit(getRiddleMeta(getRiddleIndex(id))));
+        ordered.push(meta);
+    };
+    riddles.forEach(visit);
+    return ordered;
+}
+
+// Get riddle by ID, loading the registry and the riddle module if needed
+export async function getRiddleByIdAsync(id) {
+    await loadRegistry();
+    const index = getRiddleIndex(id);
+    return index === -1 ? undefined : getRiddleByIndexAsync(index);
+}
+
+// Get riddle by index, loading the registry and the riddle module if needed
+export async function getRiddleByIndexAsync(index) {
+    await loadRegistry();
+    if (!getRiddleMeta(index)) {
+        return null;
+    }
+    return importRiddle(index);
+}
+
+// Get total number of riddles, loading the registry first if needed
+export async function getRiddleCountAsync() {
+    await loadRegistry();
+    return getRiddleCount();
+}
+
+// Load the riddles before and after an index in the background
+export function prefetchNeighbours(index) {
+    const schedule = window.requestIdleCallback
+        ? window.requestIdleCallback.bind(window)
+        : (callback) => setTimeout(callback, 200);
+    schedule(() => {
+        [index - 1, index + 1]
+            .filter(neighbour => getRiddleMeta(neighbour))
+            .forEach(neighbour => importRiddle(neighbour).catch((error) => {
+                console.warn(`Failed to prefetch riddle ${riddles[neighbour].file}:`, error);
+            }));
+    });
+}
+
+// Check whether a riddle ships hashed answers and an encrypted solution
+// instead of plaintext correctAnswers/closeAnswers/answer/explanation
+export function isProtectedRiddle(riddle) {
+    return Boolean(riddle && riddle.protected);
+}
+
+// Check whether a riddle is answered in several parts, solved in order
+export function hasParts(riddle) {
+    return Boolean(riddle && Array.isArray(riddle.parts) && riddle.parts.length > 0);
+}
+
+// Number of answers a riddle needs (1 for riddles without parts)
+export function getPartCount(riddle) {
+    return hasParts(riddle) ? riddle.parts.length : 1;
+}
+
+// The part to answer once partsSolved parts are done, with the riddle's feedback messages
+// as defaults: { prompt, answer, correctAnswers, closeAnswers, hints, ... }
+// A riddle without parts is its own single part
+export function getRiddlePart(riddle, partsSolved = 0) {
+    if (!hasParts(riddle)) return riddle;
+    return {
+        wrongAnswerFeedback: riddle.wrongAnswerFeedback,
+        closeAnswerFeedback: riddle.closeAnswerFeedback,
+        ...riddle.parts[Math.min(partsSolved, riddle.parts.length - 1)]
+    };
+}
+
+// Riddle fields a translation in `locales` can replace; whatever it leaves out stays in English
+// correctAnswers and closeAnswers are replaced together, and then guesses are matched in that locale
+const LOCALIZED_FIELDS = ['title', 'text', 'hints', 'wrongAnswerFeedback', 'closeAnswerFeedback', 'explanation', 'answer', 'choices'];
+const LOCALIZED_PART_FIELDS = ['prompt', 'hints', 'wrongAnswerFeedback', 'closeAnswerFeedback', 'answer', 'choices'];
+const LOCALIZED_ANSWER_FIELDS = ['correctAnswers', 'closeAnswers'];
+
+// Copy the fields a translation provides over the English source, and record in answerLocale
+// which locale the answer lists are written in (for the matcher)
+function applyTranslation(source, translation, fields, locale) {
+    const result = { ...source };
+    fields.forEach((field) => {
+        if (translation[field] !== undefined) result[field] = translation[field];
+    });
+    if (translation.correctAnswers && translation.closeAnswers) {
+        LOCALIZED_ANSWER_FIELDS.forEach((field) => {
+            result[field] = translation[field];
+        });
+        result.answerLocale = locale;
+    }
+    return result;
+}
+
+// A riddle in the given locale, from its `locales[locale]` translation with English as the fallback
+// Returns the riddle itself when it has no translation for the locale
+export function localizeRiddle(riddle, locale) {
+    const translation = riddle && riddle.locales && riddle.locales[locale];
+    if (!translation) return riddle;
+
+    const localized = applyTranslation(riddle, translation, LOCALIZED_FIELDS, locale);
+    if (hasParts(riddle)) {
+        const parts = translation.parts || [];
+        localized.parts = riddle.parts.map((part, index) => applyTranslation(part, parts[index] || {}, LOCALIZED_PART_FIELDS, locale));
+    }
+    return localized;
+}
+
+// Title of a registry entry in the given locale (English if it has no translated title)
+export function getLocalizedTitle(meta, locale) {
+    return (meta.titles && meta.titles[locale]) || meta.title;
+}
@@ -1,8 +1,6 @@
 /**
  * The Archive of Silence
  * Generated by Riddle Finder Agent
- * Source: Original - Multi-interpretive philosophical riddle
- * Date: 2025-12-08
  */
 
 export const riddle = {
@@ -70,5 +68,10 @@ Am I the living silence, or the silence dead?`,
     wrongAnswerFeedback: 'Not quite. Think about what exists in absence, not presence...',
     closeAnswerFeedback: 'You\'re very close! Consider the essence of emptiness itself.',
     explanation: 'Silence is the paradoxical force that gives meaning to sound and speech. It is the "door that opens when you close your mouth" - communication happens not just through words, but through their absence. The "library where every book is blank" represents infinite potential meaning before words limit it. Silence carries "more weight than mountains made of sound" because what is unsaid often speaks louder than what is spoken. It is "the scar upon the tongue" - the words we wish we had said or are glad we didn\'t. It is "the number before the first" - the zero, the void from which all else emerges. Silence is "the space between what\'s said and heard" - the interpretive gap where true understanding (or misunderstanding) lives. The final paradox: naming silence breaks it, yet we must name it to acknowledge its power.',
-    answer: 'Silence'
+    answer: 'Silence',
+    difficulty: 'hard',
+    tags: ['philosophy', 'language'],
+    author: 'Riddle Finder Agent',
+    source: 'Original - Multi-interpretive philosophical riddle',
+    date: '2025-12-08'
 };
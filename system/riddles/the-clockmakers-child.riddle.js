@@ -1,8 +1,6 @@
 /**
  * The Clockmaker's Child
  * Generated by Riddle Finder Agent
- * Source: Original - Multi-interpretive philosophical riddle
- * Date: 2025-12-08
  */
 
 export const riddle = {
@@ -78,5 +76,10 @@ Or am I just the space between the when?`,
     wrongAnswerFeedback: 'Not quite. Think about processes that contain themselves, that are both creator and creation...',
     closeAnswerFeedback: 'You\'re very close! Consider the specific mechanism of self-reference and repetition.',
     explanation: 'Recursion is the clockmaker\'s child - a function that calls itself, counting iterations its "father" (the original call) never completed. It wears the "scar" of its base case, the condition that existed before it began. Each recursive call "erases what he built" by unwinding the stack, while simultaneously revealing its worth through computation. It is "the number that divides itself" - mathematically breaking problems into smaller versions of themselves. It "parents those who came before" because each recursive call creates the context for previous calls to resolve. It keeps time (tracks state) that no one can possess (exists only in execution). The "birds in hollow chest" are the stack frames - futures (pending calls) that represent pasts (completed work). It "feeds on moments" (consumes stack space) while growing thin (approaching base case). Born last (deepest call) but finishes first (returns first). The paradox: is recursion the function that calls, or the function being called? The wound that heals (resolves) or the blade that cuts itself (infinite recursion)? When it stops, does it begin again (tail recursion) or is it merely the conceptual space between iterations?',
-    answer: 'Recursion'
+    answer: 'Recursion',
+    difficulty: 'expert',
+    tags: ['philosophy', 'time', 'computing'],
+    author: 'Riddle Finder Agent',
+    source: 'Original - Multi-interpretive philosophical riddle',
+    date: '2025-12-08'
 };
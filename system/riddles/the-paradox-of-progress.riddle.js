@@ -1,8 +1,6 @@
 /**
  * The Paradox of Progress
  * Generated by Riddle Finder Agent
- * Source: Original - Philosophical Theme
- * Date: 2025-12-05
  */
 
 export const riddle = {
@@ -42,5 +40,10 @@ export const riddle = {
     wrongAnswerFeedback: 'Think more abstractly - what powers all tools and solutions?',
     closeAnswerFeedback: 'Very close! What is the essence of these concepts?',
     explanation: 'Knowledge is infinite yet finite in any one person. It builds and destroys, and paradoxically, the more you learn, the more you realize how much you don\'t know.',
-    answer: 'Knowledge'
+    answer: 'Knowledge',
+    difficulty: 'medium',
+    tags: ['philosophy', 'knowledge'],
+    author: 'Riddle Finder Agent',
+    source: 'Original - Philosophical Theme',
+    date: '2025-12-05'
 };
@@ -1,8 +1,6 @@
 /**
  * The River That Remembers
  * Generated by Riddle Finder Agent
- * Source: Original - Multi-interpretive philosophical riddle
- * Date: 2025-12-07
  */
 
 export const riddle = {
@@ -64,5 +62,10 @@ or will I vanish like the day?`,
     wrongAnswerFeedback: 'Not quite. Consider what flows through consciousness without being physical...',
     closeAnswerFeedback: 'You\'re very close! Think about the personal, lived dimension of your answer.',
     explanation: 'Memory flows like a river but doesn\'t physically move. It holds experiences that can\'t be physically grasped. Birds represent fleeting moments, but their songs (memories) remain. Memory carves emotional scars that can heal over time. A child\'s memories shape who they become as an adult, wearing memories "like a crown." Memory is paradoxical: it steals the present moment but gives back richer experiences. The more you remember (pay attention), the more memories you create. Memory is both the first awareness and the last thing we hold onto.',
-    answer: 'Memory'
+    answer: 'Memory',
+    difficulty: 'medium',
+    tags: ['philosophy', 'memory', 'nature'],
+    author: 'Riddle Finder Agent',
+    source: 'Original - Multi-interpretive philosophical riddle',
+    date: '2025-12-07'
 };
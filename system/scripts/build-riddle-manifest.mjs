@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Riddle Manifest Builder
+ * Scans system/riddles/ for *.riddle.js files and writes riddles.manifest.json,
+ * which riddles.js uses to discover riddles at runtime.
+ *
+ * Riddles already in the manifest keep their position so saved progress indexes stay valid;
+ * new riddle files are appended in alphabetical order.
+ *
+ * Usage: node system/scripts/build-riddle-manifest.mjs [--check]
+ *   --check  Exit with status 1 if the manifest is out of date instead of writing it
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { findRiddleFiles } from './validate-riddles.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const RIDDLES_DIR = path.resolve(__dirname, '../riddles');
+const MANIFEST_PATH = path.join(RIDDLES_DIR, 'riddles.manifest.json');
+
+/**
+ * Read the existing manifest, or an empty one if it does not exist yet
+ */
+function readManifest() {
+    if (!fs.existsSync(MANIFEST_PATH)) {
+        return { riddles: [] };
+    }
+    return JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+}
+
+/**
+ * Build a manifest entry from a riddle module
+ * Only lightweight metadata goes in the manifest; the game imports the full module on demand
+ */
+async function describeRiddle(file) {
+    const { riddle } = await import(pathToFileURL(file).href);
+    if (!riddle || !riddle.id) {
+        throw new Error(`${path.basename(file)} does not export a riddle with an id`);
+    }
+    const titles = {};
+    Object.entries(riddle.locales || {}).forEach(([locale, translation]) => {
+        if (translation && translation.title) titles[locale] = translation.title;
+    });
+    return {
+        id: riddle.id,
+        title: riddle.title,
+        titles,
+        difficulty: riddle.difficulty || null,
+        tags: riddle.tags || [],
+        author: riddle.author || null,
+        date: riddle.date || null,
+        requires: riddle.requires || [],
+        file: path.basename(file)
+    };
+}
+
+export async function buildManifest() {
+    const previousOrder = readManifest().riddles.map(entry => entry.file);
+    const entries = [];
+    for (const file of findRiddleFiles(RIDDLES_DIR)) {
+        entries.push(await describeRiddle(file));
+    }
+
+    const position = entry => {
+        const index = previousOrder.indexOf(entry.file);
+        return index === -1 ? previousOrder.length : index;
+    };
+    entries.sort((a, b) => position(a) - position(b) || a.file.localeCompare(b.file));
+
+    return {
+        generatedBy: 'system/scripts/build-riddle-manifest.mjs - do not edit by hand',
+        riddles: entries
+    };
+}
+
+async function main() {
+    const check = process.argv.includes('--check');
+    const output = JSON.stringify(await buildManifest(), null, 4) + '\n';
+    const current = fs.existsSync(MANIFEST_PATH) ? fs.readFileSync(MANIFEST_PATH, 'utf8') : '';
+
+    if (check) {
+        if (output !== current) {
+            console.error('❌ riddles.manifest.json is out of date. Run: node system/scripts/build-riddle-manifest.mjs');
+            process.exit(1);
+        }
+        console.log('✅ riddles.manifest.json is up to date');
+        return;
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, output);
+    console.log(`📜 Wrote ${JSON.parse(output).riddles.length} riddles to ${path.relative(process.cwd(), MANIFEST_PATH)}`);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to build riddle manifest:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Answer Matcher Tests
+ * Checks how system/js/matcher.js grades typical guesses, in English and Spanish, and that
+ * system/js/answer-crypto.js grades protected riddles (including translated answers) the same way.
+ *
+ * Usage: node --test system/scripts/matcher.test.mjs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { matchAnswer, normalizeAnswer, MATCH_CORRECT, MATCH_CLOSE, MATCH_WRONG } from '../js/matcher.js';
+import { protectRiddle, matchProtectedAnswer, unsealSolution } from '../js/answer-crypto.js';
+
+const ANSWERS = {
+    correctAnswers: ['mirror', 'reflection', 'artificial intelligence'],
+    closeAnswers: ['computer']
+};
+
+const SPANISH_ANSWERS = {
+    correctAnswers: ['espejo', 'reflejo', 'luz', 'reloj'],
+    closeAnswers: ['maquina']
+};
+
+function grade(guess) {
+    return matchAnswer(guess, ANSWERS).grade;
+}
+
+function gradeSpanish(guess) {
+    return matchAnswer(guess, SPANISH_ANSWERS, 'es').grade;
+}
+
+test('exact answers, articles and plurals are correct', () => {
+    assert.equal(grade('mirror'), MATCH_CORRECT);
+    assert.equal(grade('The Mirrors!'), MATCH_CORRECT);
+});
+
+test('typos in long words are tolerated', () => {
+    assert.equal(grade('artifical inteligence'), MATCH_CORRECT);
+});
+
+test('short answers must match whole words', () => {
+    assert.equal(matchAnswer('rain', { correctAnswers: ['ai'] }).grade, MATCH_WRONG);
+    assert.equal(matchAnswer('ai', { correctAnswers: ['ai'] }).grade, MATCH_CORRECT);
+});
+
+test('half of a multi-word answer is close', () => {
+    assert.equal(grade('intelligence'), MATCH_CLOSE);
+});
+
+test('close answers grade close', () => {
+    assert.equal(grade('a computer'), MATCH_CLOSE);
+});
+
+test('a list of words that contains the answer is not correct', () => {
+    assert.equal(grade('mirror river clock time silence'), MATCH_WRONG);
+    assert.equal(grade('mirror clock'), MATCH_CLOSE);
+});
+
+test('Spanish articles are dropped', () => {
+    assert.equal(normalizeAnswer('El Espejo', 'es'), 'espejo');
+    assert.equal(gradeSpanish('los espejos'), MATCH_CORRECT);
+    assert.equal(gradeSpanish('una máquina'), MATCH_CLOSE);
+    // English articles are words like any other in Spanish
+    assert.equal(normalizeAnswer('the espejo', 'es'), 'the espejo');
+});
+
+test('Spanish plurals are reduced to the singular', () => {
+    assert.equal(normalizeAnswer('relojes', 'es'), 'reloj');
+    assert.equal(normalizeAnswer('luces', 'es'), 'luz');
+    assert.equal(normalizeAnswer('crisis', 'es'), 'crisis');
+    assert.equal(gradeSpanish('las luces'), MATCH_CORRECT);
+});
+
+test('a translated answer grades in its own language', () => {
+    assert.equal(gradeSpanish('reflejo'), MATCH_CORRECT);
+    assert.equal(gradeSpanish('reflection'), MATCH_WRONG);
+});
+
+test('protected riddles hash translated answers and grade extra words like plaintext ones', async () => {
+    const riddle = {
+        ...ANSWERS,
+        answer: 'A Mirror',
+        explanation: 'It reflects.',
+        locales: {
+            es: { ...SPANISH_ANSWERS, answer: 'Un espejo', explanation: 'Refleja.' }
+        }
+    };
+    const data = await protectRiddle(riddle);
+    const protectedGrade = async guess => (await matchProtectedAnswer(guess, data)).grade;
+
+    assert.deepEqual(data.answerLocales, ['en', 'es']);
+    assert.equal(await protectedGrade('The Mirrors'), MATCH_CORRECT);
+    assert.equal(await protectedGrade('los espejos'), MATCH_CORRECT);
+    assert.equal(await protectedGrade('las luces'), MATCH_CORRECT);
+    assert.equal(await protectedGrade('una máquina'), MATCH_CLOSE);
+
+    for (const guess of ['mirror river clock time silence', 'its a mirror', 'i think it is the mirror']) {
+        assert.equal(await protectedGrade(guess), grade(guess), guess);
+    }
+
+    const solution = await unsealSolution(data, await matchProtectedAnswer('espejo', data));
+    assert.equal(solution.answer, 'A Mirror');
+    assert.equal(solution.locales.es.answer, 'Un espejo');
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Riddle Protection Tool
+ * Rewrites a plaintext *.riddle.js file so its answers ship as salted hashes
+ * and its answer/explanation are encrypted with a key derived from the correct answers.
+ * Translations in `locales` are protected the same way: their answers are hashed with the English
+ * ones, their answer/explanation are encrypted with the solution, and the rest of them is kept.
+ *
+ * Usage: node system/scripts/protect-riddle.mjs system/riddles/my-riddle.riddle.js [--out path]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { protectRiddle } from '../js/answer-crypto.js';
+
+const PLAINTEXT_FIELDS = ['correctAnswers', 'closeAnswers', 'answer', 'explanation'];
+
+// Translated choices go too: the validator only accepts choices in English on a protected riddle
+const PLAINTEXT_TRANSLATION_FIELDS = [...PLAINTEXT_FIELDS, 'choices'];
+
+/**
+ * Copy an object without the given fields
+ */
+function omitFields(source, fields) {
+    return Object.fromEntries(Object.entries(source).filter(([key]) => !fields.includes(key)));
+}
+
+/**
+ * Translations of a riddle without their plaintext answers
+ */
+function protectLocales(locales) {
+    return Object.fromEntries(Object.entries(locales)
+        .map(([locale, translation]) => [locale, omitFields(translation, PLAINTEXT_TRANSLATION_FIELDS)]));
+}
+
+/**
+ * Keep the leading comment block of the original file (title, source, date)
+ */
+function leadingComment(source) {
+    const match = source.match(/^\s*(\/\*[\s\S]*?\*\/|(?:\/\/.*\n)+)/);
+    return match ? match[1].trim() + '\n\n' : '';
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+    const outIndex = args.indexOf('--out');
+    const out = outIndex !== -1 ? args[outIndex + 1] : file;
+
+    if (!file || !out) {
+        console.error('Usage: node system/scripts/protect-riddle.mjs <file.riddle.js> [--out path]');
+        process.exit(1);
+    }
+
+    const filePath = path.resolve(file);
+    const { riddle } = await import(pathToFileURL(filePath).href);
+
+    if (!riddle) {
+        throw new Error(`${file} does not export a riddle`);
+    }
+    if (riddle.protected) {
+        throw new Error(`${file} is already protected`);
+    }
+    if (riddle.parts) {
+        throw new Error(`${file} has parts, which protected riddles do not support`);
+    }
+
+    const protectedRiddle = omitFields(riddle, PLAINTEXT_FIELDS);
+    if (riddle.locales) {
+        protectedRiddle.locales = protectLocales(riddle.locales);
+    }
+    protectedRiddle.protected = await protectRiddle(riddle);
+
+    const source = fs.readFileSync(filePath, 'utf8');
+    const output = `${leadingComment(source)}export const riddle = ${JSON.stringify(protectedRiddle, null, 4)};\n`;
+
+    fs.writeFileSync(path.resolve(out), output);
+    console.log(`🔒 Protected ${riddle.id}: ${protectedRiddle.protected.correctHashes.length} correct and ${protectedRiddle.protected.closeHashes.length} close answer hashes written to ${out}`);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to protect riddle:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+/**
+ * Riddle Validator
+ * Imports every *.riddle.js file in system/riddles/ and checks it against the riddle schema
+ * described in riddle.template.js. Exits with status 1 when any riddle has errors.
+ *
+ * Usage: node system/scripts/validate-riddles.mjs [--strict] [riddles-dir]
+ *   --strict  Treat warnings as errors
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { matchAnswer, normalizeAnswer, MATCH_CLOSE, MATCH_CORRECT, DEFAULT_MATCH_LOCALE } from '../js/matcher.js';
+import { LOCALES, DEFAULT_LOCALE } from '../js/i18n.js';
+import { DIFFICULTIES, localizeRiddle } from '../riddles/riddles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RIDDLES_DIR = path.resolve(__dirname, '../riddles');
+
+const MIN_HINTS = 6;
+const MIN_PART_HINTS = 2;
+const MIN_CHOICES = 2;
+const MAX_CHOICES = 6;
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const HEX_PATTERN = /^[0-9a-f]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const STRING_FIELDS = ['id', 'title', 'text', 'wrongAnswerFeedback', 'closeAnswerFeedback'];
+const PLAINTEXT_STRING_FIELDS = ['explanation', 'answer'];
+const PLAINTEXT_ANSWER_FIELDS = ['correctAnswers', 'closeAnswers'];
+const METADATA_STRING_FIELDS = ['author', 'source'];
+const PART_STRING_FIELDS = ['prompt', 'answer'];
+const PART_OPTIONAL_STRING_FIELDS = ['wrongAnswerFeedback', 'closeAnswerFeedback'];
+const LOCALE_STRING_FIELDS = ['title', 'text', 'wrongAnswerFeedback', 'closeAnswerFeedback', 'explanation', 'answer'];
+const LOCALE_PART_STRING_FIELDS = ['prompt', 'answer', 'wrongAnswerFeedback', 'closeAnswerFeedback'];
+const LOCALE_LIST_FIELDS = ['hints', 'choices', ...PLAINTEXT_ANSWER_FIELDS];
+
+/**
+ * Find every riddle file in a directory
+ */
+export function findRiddleFiles(dir = DEFAULT_RIDDLES_DIR) {
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.riddle.js'))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function isEncryptedBlob(value) {
+    return value && isNonEmptyString(value.iv) && isNonEmptyString(value.data);
+}
+
+/**
+ * Check the answer lists of a plaintext riddle, or of one of its parts (field names get the prefix)
+ * The locale is the language the answers are written in, which the matcher normalizes them by
+ */
+function checkAnswers(riddle, report, prefix = '', locale = DEFAULT_MATCH_LOCALE) {
+    for (const field of PLAINTEXT_ANSWER_FIELDS) {
+        const answers = riddle[field];
+        if (!Array.isArray(answers) || answers.length === 0) {
+            report.error(`${prefix}${field}`, 'must be a non-empty array of strings');
+            continue;
+        }
+        answers.forEach((answer, index) => {
+            if (!isNonEmptyString(answer)) {
+                report.error(`${prefix}${field}[${index}]`, 'must be a non-empty string');
+            } else if (answer !== answer.toLocaleLowerCase(locale)) {
+                report.error(`${prefix}${field}[${index}]`, `"${answer}" must be lowercase`);
+            }
+        });
+    }
+
+    if (!Array.isArray(riddle.correctAnswers) || !Array.isArray(riddle.closeAnswers)) {
+        return;
+    }
+
+    const correctAnswers = riddle.correctAnswers.filter(isNonEmptyString);
+    const closeAnswers = riddle.closeAnswers.filter(isNonEmptyString);
+    const normalizedCorrect = new Map(correctAnswers.map(answer => [normalizeAnswer(answer, locale), answer]));
+
+    for (const close of closeAnswers) {
+        const duplicate = normalizedCorrect.get(normalizeAnswer(close, locale));
+        if (duplicate) {
+            report.error(`${prefix}closeAnswers`, `"${close}" is also listed in correctAnswers as "${duplicate}"`);
+            continue;
+        }
+
+        // A close answer must still grade as close, or players can never see the close feedback
+        const result = matchAnswer(close, riddle, locale);
+        if (result.grade !== MATCH_CLOSE) {
+            report.error(`${prefix}closeAnswers`, `"${close}" is unreachable: it matches correct answer "${result.matched}"`);
+        }
+    }
+
+    for (const correct of correctAnswers) {
+        if (matchAnswer(correct, riddle, locale).grade !== MATCH_CORRECT) {
+            report.error(`${prefix}correctAnswers`, `"${correct}" does not match itself as correct`);
+        }
+    }
+}
+
+/**
+ * Check an explicit multiple-choice list; for plaintext answers exactly one choice must be correct
+ */
+function checkChoices(source, report, prefix = '', plaintext = true, locale = DEFAULT_MATCH_LOCALE) {
+    const field = `${prefix}choices`;
+    const choices = source.choices;
+    if (!Array.isArray(choices) || choices.length < MIN_CHOICES || choices.length > MAX_CHOICES) {
+        report.error(field, `must be an array of ${MIN_CHOICES} to ${MAX_CHOICES} strings`);
+        return;
+    }
+    if (!choices.every(isNonEmptyString)) {
+        report.error(field, 'every choice must be a non-empty string');
+        return;
+    }
+    if (new Set(choices.map(choice => normalizeAnswer(choice, locale))).size !== choices.length) {
+        report.error(field, 'must not list the same choice twice');
+    }
+    if (plaintext && Array.isArray(source.correctAnswers)) {
+        const correct = choices.filter(choice => matchAnswer(choice, source, locale).grade === MATCH_CORRECT);
+        if (correct.length !== 1) {
+            report.error(field, `must contain exactly one correct answer, found ${correct.length}`);
+        }
+    }
+}
+
+/**
+ * Check a list of hint strings, requiring at least `min` of them
+ */
+function checkHints(hints, min, report, field = 'hints') {
+    if (!Array.isArray(hints)) {
+        report.error(field, 'is required and must be an array of strings');
+        return;
+    }
+    if (hints.length < min) {
+        report.error(field, `has ${hints.length} hints, at least ${min} are required`);
+    }
+    hints.forEach((hint, index) => {
+        if (!isNonEmptyString(hint)) {
+            report.error(`${field}[${index}]`, 'must be a non-empty string');
+        }
+    });
+}
+
+/**
+ * Check the parts of a multi-part riddle: each has its own prompt, answer, answer lists and hints,
+ * and they replace the riddle's own correctAnswers, closeAnswers and hints
+ */
+function checkParts(riddle, report) {
+    if (!Array.isArray(riddle.parts) || riddle.parts.length < 2) {
+        report.error('parts', 'must be an array of at least 2 parts');
+        return;
+    }
+    for (const field of [...PLAINTEXT_ANSWER_FIELDS, 'hints', 'choices']) {
+        if (field in riddle) {
+            report.error(field, 'must be set on each part instead of on a riddle with parts');
+        }
+    }
+
+    riddle.parts.forEach((part, index) => {
+        const prefix = `parts[${index}].`;
+        if (!part || typeof part !== 'object') {
+            report.error(`parts[${index}]`, 'must be an object');
+            return;
+        }
+        for (const field of PART_STRING_FIELDS) {
+            if (!isNonEmptyString(part[field])) {
+                report.error(`${prefix}${field}`, 'is required and must be a non-empty string');
+            }
+        }
+        for (const field of PART_OPTIONAL_STRING_FIELDS) {
+            if (field in part && !isNonEmptyString(part[field])) {
+                report.error(`${prefix}${field}`, 'must be a non-empty string');
+            }
+        }
+        checkHints(part.hints, MIN_PART_HINTS, report, `${prefix}hints`);
+        checkAnswers(part, report, prefix);
+        if ('choices' in part) {
+            checkChoices(part, report, prefix);
+        }
+    });
+}
+
+/**
+ * Check the optional metadata fields: difficulty, tags, author, source and date
+ */
+function checkMetadata(riddle, report) {
+    if ('difficulty' in riddle && !DIFFICULTIES.includes(riddle.difficulty)) {
+        report.error('difficulty', `must be one of ${DIFFICULTIES.map(level => `'${level}'`).join(', ')}`);
+    }
+
+    if ('tags' in riddle) {
+        if (!Array.isArray(riddle.tags)) {
+            report.error('tags', 'must be an array of strings');
+        } else {
+            const seen = new Set();
+            riddle.tags.forEach((tag, index) => {
+                if (typeof tag !== 'string' || !ID_PATTERN.test(tag)) {
+                    report.error(`tags[${index}]`, `${JSON.stringify(tag)} must be lowercase words separated by hyphens`);
+                } else if (seen.has(tag)) {
+                    report.error(`tags[${index}]`, `"${tag}" is listed more than once`);
+                }
+                seen.add(tag);
+            });
+        }
+    }
+
+    for (const field of METADATA_STRING_FIELDS) {
+        if (field in riddle && !isNonEmptyString(riddle[field])) {
+            report.error(field, 'must be a non-empty string');
+        }
+    }
+
+    if ('date' in riddle) {
+        const parsed = new Date(`${riddle.date}T00:00:00Z`);
+        const valid = typeof riddle.date === 'string' && DATE_PATTERN.test(riddle.date) &&
+            !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(riddle.date);
+        if (!valid) {
+            report.error('date', `${JSON.stringify(riddle.date)} must be a real date in YYYY-MM-DD format`);
+        }
+    }
+}
+
+/**
+ * Check the ids listed in `requires` (whether they exist is checked across files)
+ */
+function checkRequires(riddle, report) {
+    if (!Array.isArray(riddle.requires) || riddle.requires.length === 0) {
+        report.error('requires', 'must be a non-empty array of riddle ids');
+        return;
+    }
+    const seen = new Set();
+    riddle.requires.forEach((id, index) => {
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+            report.error(`requires[${index}]`, `${JSON.stringify(id)} must be a riddle id`);
+        } else if (id === riddle.id) {
+            report.error(`requires[${index}]`, 'a riddle cannot require itself');
+        } else if (seen.has(id)) {
+            report.error(`requires[${index}]`, `"${id}" is listed more than once`);
+        }
+        seen.add(id);
+    });
+}
+
+/**
+ * Find riddles that can never unlock because their requirements lead back to themselves
+ * Returns the ids on each cycle found, e.g. [['a', 'b', 'a']]
+ */
+function findRequirementCycles(requiresById) {
+    const cycles = [];
+    const done = new Set();
+    const visit = (id, trail) => {
+        if (trail.includes(id)) {
+            cycles.push([...trail.slice(trail.indexOf(id)), id]);
+            return;
+        }
+        if (done.has(id) || !requiresById.has(id)) return;
+        // Self-references are reported by checkRequires()
+        requiresById.get(id)
+            .filter(required => required !== id)
+            .forEach(required => visit(required, [...trail, id]));
+        done.add(id);
+    };
+    requiresById.forEach((requires, id) => visit(id, []));
+    return cycles;
+}
+
+/**
+ * Check the fields of one translation (of a riddle or one of its parts) and the translated
+ * riddle or part it produces: translated hints keep the English count, and translated answer
+ * lists come as a pair and are checked in their own language
+ */
+function checkTranslation(translation, source, localized, report, prefix, { allowed, stringFields, locale, plaintext }) {
+    Object.keys(translation).forEach((field) => {
+        if (!allowed.includes(field)) {
+            report.error(`${prefix}${field}`, 'cannot be translated here');
+        }
+    });
+    const has = field => field in translation && allowed.includes(field);
+    for (const field of stringFields) {
+        if (has(field) && !isNonEmptyString(translation[field])) {
+            report.error(`${prefix}${field}`, 'must be a non-empty string');
+        }
+    }
+
+    if (has('hints')) {
+        const count = Array.isArray(source.hints) ? source.hints.length : 0;
+        checkHints(translation.hints, 0, report, `${prefix}hints`);
+        if (Array.isArray(translation.hints) && translation.hints.length !== count) {
+            report.error(`${prefix}hints`, `has ${translation.hints.length} hints, the English text has ${count}`);
+        }
+    }
+
+    if (!plaintext) {
+        for (const field of [...PLAINTEXT_ANSWER_FIELDS, ...PLAINTEXT_STRING_FIELDS, 'choices']) {
+            if (has(field)) {
+                report.error(`${prefix}${field}`, 'cannot be translated on a protected riddle, whose answers are hashed');
+            }
+        }
+        return;
+    }
+
+    const answerFields = PLAINTEXT_ANSWER_FIELDS.filter(has);
+    if (answerFields.length === 1) {
+        report.error(`${prefix}${answerFields[0]}`, `must be translated together with ${PLAINTEXT_ANSWER_FIELDS.find(field => !answerFields.includes(field))}`);
+    } else if (answerFields.length === 2) {
+        checkAnswers(localized, report, prefix, locale);
+    }
+    if (has('choices')) {
+        checkChoices(localized, report, prefix, true, localized.answerLocale || DEFAULT_MATCH_LOCALE);
+    }
+}
+
+/**
+ * Check the `locales` translations: { [locale]: { title, text, hints, answers..., parts } }
+ */
+function checkLocales(riddle, report) {
+    const locales = riddle.locales;
+    if (!locales || typeof locales !== 'object' || Array.isArray(locales)) {
+        report.error('locales', 'must be an object of translations by locale');
+        return;
+    }
+
+    const plaintext = !('protected' in riddle);
+    Object.entries(locales).forEach(([locale, translation]) => {
+        const prefix = `locales.${locale}.`;
+        if (locale === DEFAULT_LOCALE) {
+            report.error(`locales.${locale}`, 'English is the riddle\'s own text and cannot be a translation');
+            return;
+        }
+        if (!LOCALES[locale]) {
+            report.error(`locales.${locale}`, `is not a supported locale (${Object.keys(LOCALES).join(', ')})`);
+            return;
+        }
+        if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+            report.error(`locales.${locale}`, 'must be an object');
+            return;
+        }
+
+        // A riddle with parts translates its hints, answers and choices on each part
+        const withParts = Array.isArray(riddle.parts);
+        const localized = localizeRiddle(riddle, locale);
+        checkTranslation(translation, riddle, localized, report, prefix, {
+            allowed: [...LOCALE_STRING_FIELDS, ...(withParts ? ['parts'] : LOCALE_LIST_FIELDS)],
+            stringFields: LOCALE_STRING_FIELDS,
+            locale,
+            plaintext
+        });
+
+        if (!withParts || !('parts' in translation)) return;
+        if (!Array.isArray(translation.parts) || translation.parts.length !== riddle.parts.length) {
+            report.error(`${prefix}parts`, `must be an array with one entry for each of the riddle's ${riddle.parts.length} parts`);
+            return;
+        }
+        translation.parts.forEach((part, index) => {
+            if (!part || typeof part !== 'object' || !riddle.parts[index]) {
+                report.error(`${prefix}parts[${index}]`, 'must be an object');
+                return;
+            }
+            checkTranslation(part, riddle.parts[index], localized.parts[index], report, `${prefix}parts[${index}].`, {
+                allowed: [...LOCALE_PART_STRING_FIELDS, ...LOCALE_LIST_FIELDS],
+                stringFields: LOCALE_PART_STRING_FIELDS,
+                locale,
+                plaintext
+            });
+        });
+    });
+}
+
+/**
+ * Check the protected block of a riddle with hashed answers
+ */
+function checkProtected(riddle, report) {
+    const data = riddle.protected;
+    if (!data || typeof data !== 'object') {
+        report.error('protected', 'must be an object');
+        return;
+    }
+
+    if (!isNonEmptyString(data.salt) || !HEX_PATTERN.test(data.salt)) {
+        report.error('protected.salt', 'must be a hex string');
+    }
+    for (const field of ['correctHashes', 'closeHashes']) {
+        const hashes = data[field];
+        if (!Array.isArray(hashes) || !hashes.every(hash => isNonEmptyString(hash) && HEX_PATTERN.test(hash))) {
+            report.error(`protected.${field}`, 'must be an array of hex hashes');
+        }
+    }
+    if ('answerLocales' in data && (!Array.isArray(data.answerLocales) || data.answerLocales.length === 0 || !data.answerLocales.every(isNonEmptyString))) {
+        report.error('protected.answerLocales', 'must be a non-empty array of locale codes');
+    }
+    if (Array.isArray(data.correctHashes) && data.correctHashes.length === 0) {
+        report.error('protected.correctHashes', 'must contain at least one hash');
+    }
+    if (!Array.isArray(data.keys) || !Array.isArray(data.correctHashes) || data.keys.length !== data.correctHashes.length) {
+        report.error('protected.keys', 'must have one wrapped key per correct hash');
+    } else if (!data.keys.every(isEncryptedBlob)) {
+        report.error('protected.keys', 'every entry must have an iv and data');
+    }
+    if (!isEncryptedBlob(data.reveal) || !isNonEmptyString(data.reveal.secret)) {
+        report.error('protected.reveal', 'must have a secret, iv and data');
+    }
+    if (!isEncryptedBlob(data.solution)) {
+        report.error('protected.solution', 'must have an iv and data');
+    }
+
+    for (const field of [...PLAINTEXT_ANSWER_FIELDS, ...PLAINTEXT_STRING_FIELDS]) {
+        if (field in riddle) {
+            report.error(field, 'must not be shipped in plaintext by a protected riddle');
+        }
+    }
+}
+
+/**
+ * Validate a single riddle object, returning { errors, warnings } as { field, message } lists
+ */
+export function validateRiddle(riddle) {
+    const errors = [];
+    const warnings = [];
+    const report = {
+        error: (field, message) => errors.push({ field, message }),
+        warn: (field, message) => warnings.push({ field, message })
+    };
+
+    if (!riddle || typeof riddle !== 'object') {
+        report.error('riddle', 'file must export `const riddle = { ... }`');
+        return { errors, warnings };
+    }
+
+    for (const field of STRING_FIELDS) {
+        if (!isNonEmptyString(riddle[field])) {
+            report.error(field, 'is required and must be a non-empty string');
+        }
+    }
+    if (isNonEmptyString(riddle.id) && !ID_PATTERN.test(riddle.id)) {
+        report.error('id', `"${riddle.id}" must be lowercase words separated by hyphens`);
+    }
+
+    if (!('parts' in riddle)) {
+        checkHints(riddle.hints, MIN_HINTS, report);
+    }
+
+    if ('hintUnlockAttempts' in riddle && !(Number.isInteger(riddle.hintUnlockAttempts) && riddle.hintUnlockAttempts >= 0)) {
+        report.error('hintUnlockAttempts', 'must be a non-negative integer');
+    }
+
+    checkMetadata(riddle, report);
+
+    if ('requires' in riddle) {
+        checkRequires(riddle, report);
+    }
+
+    if ('locales' in riddle) {
+        checkLocales(riddle, report);
+    }
+
+    if ('protected' in riddle) {
+        checkProtected(riddle, report);
+        if ('parts' in riddle) {
+            report.error('parts', 'protected riddles cannot have parts');
+        }
+        if ('choices' in riddle) {
+            checkChoices(riddle, report, '', false);
+        }
+    } else {
+        for (const field of PLAINTEXT_STRING_FIELDS) {
+            if (!isNonEmptyString(riddle[field])) {
+                report.error(field, 'is required and must be a non-empty string');
+            }
+        }
+        if ('parts' in riddle) {
+            checkParts(riddle, report);
+        } else {
+            checkAnswers(riddle, report);
+            if ('choices' in riddle) {
+                checkChoices(riddle, report);
+            }
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Import and validate every riddle file, including cross-file checks such as unique ids
+ * Returns a list of { file, errors, warnings }
+ */
+export async function validateRiddleFiles(files) {
+    const results = [];
+    const ids = new Map();
+    const requiresById = new Map();
+
+    for (const file of files) {
+        const name = path.basename(file);
+        let result;
+        try {
+            const module = await import(pathToFileURL(file).href);
+            result = validateRiddle(module.riddle);
+
+            const id = module.riddle && module.riddle.id;
+            if (isNonEmptyString(id)) {
+                if (ids.has(id)) {
+                    result.errors.push({ field: 'id', message: `"${id}" is already used by ${ids.get(id)}` });
+                } else {
+                    ids.set(id, name);
+                    if (Array.isArray(module.riddle.requires)) {
+                        requiresById.set(id, module.riddle.requires);
+                    }
+                }
+            }
+        } catch (error) {
+            result = { errors: [{ field: 'file', message: `failed to import: ${error.message}` }], warnings: [] };
+        }
+        results.push({ file: name, ...result });
+    }
+
+    // Required riddles must exist, and requirements must not go round in a circle
+    for (const [id, requires] of requiresById) {
+        const result = results.find(entry => entry.file === ids.get(id));
+        requires
+            .filter(required => typeof required === 'string' && ID_PATTERN.test(required) && required !== id && !ids.has(required))
+            .forEach(required => result.errors.push({ field: 'requires', message: `"${required}" is not the id of any riddle` }));
+    }
+    for (const cycle of findRequirementCycles(requiresById)) {
+        const result = results.find(entry => entry.file === ids.get(cycle[0]));
+        result.errors.push({ field: 'requires', message: `riddles can never unlock: ${cycle.join(' → ')}` });
+    }
+
+    return results;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    const dir = args.find(arg => !arg.startsWith('--')) || DEFAULT_RIDDLES_DIR;
+
+    const results = await validateRiddleFiles(findRiddleFiles(path.resolve(dir)));
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const { file, errors, warnings } of results) {
+        if (errors.length === 0 && warnings.length === 0) {
+            console.log(`✅ ${file}`);
+            continue;
+        }
+        console.log(`${errors.length > 0 ? '❌' : '⚠️ '} ${file}`);
+        errors.forEach(({ field, message }) => console.log(`   error    ${field}: ${message}`));
+        warnings.forEach(({ field, message }) => console.log(`   warning  ${field}: ${message}`));
+        errorCount += errors.length;
+        warningCount += warnings.length;
+    }
+
+    console.log(`\n${results.length} riddles checked: ${errorCount} errors, ${warningCount} warnings`);
+
+    if (errorCount > 0 || (strict && warningCount > 0)) {
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    main().catch(error => {
+        console.error('❌ Riddle validation failed:', error.message);
+        process.exit(1);
+    });
+}